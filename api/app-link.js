@@ -0,0 +1,103 @@
+/**
+ * App Link Web Fallback - served at /app/* (see vercel.json rewrites)
+ * App links (lib/app-links.js) open the app when it's installed; when it isn't, the
+ * operating system opens them here instead, and we send the user to the store.
+ *
+ * Links from the success page carry an opaque `deferred` hint ID: for those we first store
+ * a one-time payload the app claims after installing (lib/deferred-links.js), so the
+ * user continues the verification instead of starting over.
+ *   Android - redirected straight to the Play Store, claim code in the install referrer
+ *   iOS     - App Store button that copies the claim code to the clipboard when tapped
+ *   Other   - store buttons only (installing happens on the phone)
+ */
+
+const { applyContentSecurityPolicy } = require('../lib/csp');
+const {
+  CLIPBOARD_PREFIX,
+  createDeferredPayload,
+  detectPlatform,
+  storeUrl,
+  takeDeferredHint
+} = require('../lib/deferred-links');
+const { createTranslator, negotiateLocale } = require('../lib/i18n');
+const { withRateLimit } = require('../lib/rate-limit');
+const { renderPage } = require('../lib/templates');
+const { createLogger, withRequestContext } = require('../lib/logger');
+const { incrementCounter } = require('../lib/metrics');
+
+const log = createLogger('app-link');
+
+/**
+ * Claim code for the request's deferred hint, or null when there's nothing to defer
+ */
+async function deferPayload(req, platform) {
+  // HEAD is what link scanners and previews send - don't use up the hint for them
+  if (!req.query?.deferred || !platform || req.method !== 'GET' || !storeUrl(platform)) {
+    return null;
+  }
+
+  try {
+    const hint = await takeDeferredHint(req.query.deferred);
+    if (!hint) {
+      return null;
+    }
+
+    const claimCode = await createDeferredPayload(hint, platform);
+    log.info('📦 Stored deferred deep link payload', { platform, flow: hint.flow });
+    await incrementCounter('manito_deferred_links_created_total', { platform });
+    return claimCode;
+  } catch (error) {
+    // The store link still works - the user just starts from scratch in the app
+    log.error('❌ Failed to store deferred deep link payload', { error });
+    return null;
+  }
+}
+
+module.exports = withRequestContext(withRateLimit('app-link', async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const platform = detectPlatform(req.headers['user-agent']);
+  const claimCode = await deferPayload(req, platform);
+
+  // App links can carry one-time codes: never cache them or leak them in a Referer
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+
+  if (platform === 'android' && storeUrl('android')) {
+    res.setHeader('Location', storeUrl('android', claimCode));
+    return res.status(302).end();
+  }
+
+  const nonce = applyContentSecurityPolicy(res);
+  const i18n = createTranslator(negotiateLocale({
+    lang: req.query?.lang,
+    metadataLocale: req.query?.locale,
+    acceptLanguage: req.headers['accept-language']
+  }));
+
+  const stores = (platform ? [platform] : ['ios', 'android'])
+    .filter((store) => storeUrl(store))
+    .map((store) => ({
+      url: storeUrl(store, claimCode),
+      label: i18n.t(store === 'ios' ? 'appLink.appStore' : 'appLink.playStore')
+    }));
+
+  res.setHeader('Vary', 'Accept-Language, User-Agent');
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Language', i18n.locale);
+
+  res.status(200).send(renderPage('app-link', {
+    t: i18n.t,
+    nonce,
+    locale: i18n.locale,
+    variant: 'info',
+    title: i18n.t('appLink.title'),
+    // Read by the page script - serialized as a JSON literal, never spliced into code
+    client: {
+      stores,
+      clipboardText: platform === 'ios' && claimCode ? `${CLIPBOARD_PREFIX}${claimCode}` : null
+    }
+  }));
+}));
@@ -2,362 +2,128 @@
  * Supabase Auth Webhook Handler - Device-Agnostic Email Verification
  * Receives webhooks when users verify emails, stores verification events
  * Enables device-agnostic email extraction for verified.js
+ * Every delivery is recorded in the webhook ledger, so Supabase retries are idempotent
+ *
+ * Replay protection: the signature and its timestamp tolerance reject forged and old
+ * deliveries. The ledger, keyed by the signed `webhook-id`, is the replay cache for the
+ * rest. A replayed ID never re-runs side effects; it only gets the original result.
+ * Unlike the in-memory cache it replaced, it is shared by every instance and survives
+ * cold starts.
  */
 
-const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
-
-// Initialize Supabase admin client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-// Webhook secret for security
-const WEBHOOK_SECRET = process.env.SUPABASE_WEBHOOK_SECRET || 'your-webhook-secret-here';
-
-/**
- * Create user profile AFTER email verification (security fix)
- * This ensures only verified users get profiles in the system
- */
-async function createProfileAfterVerification(user, userType) {
-  console.log('🔒 Creating profile after verification for user:', user.id);
-
-  // Check if profile already exists
-  const { data: existingProfile, error: checkError } = await supabase
-    .from('users')
-    .select('id')
-    .eq('id', user.id)
-    .single();
-
-  if (existingProfile) {
-    console.log('✅ Profile already exists for verified user:', user.id);
-    return;
-  }
-
-  if (checkError && checkError.code !== 'PGRST116') {
-    console.error('❌ Error checking existing profile:', checkError);
-    throw checkError;
-  }
-
-  // Create user profile from auth metadata
-  const profileData = {
-    id: user.id,
-    email: user.email,
-    full_name: user.user_metadata?.full_name || user.raw_user_meta_data?.full_name,
-    user_type: userType,
-    phone_number: user.user_metadata?.phone_number || user.raw_user_meta_data?.phone_number || null,
-    display_name: user.user_metadata?.display_name || user.raw_user_meta_data?.display_name,
-    is_verified: true, // Email just verified
-    email_verified_at: user.email_confirmed_at,
-    onboarding_completed: false,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-    last_seen_at: new Date().toISOString(),
-    // Chilean fields
-    nombres: user.user_metadata?.nombres || user.raw_user_meta_data?.nombres || null,
-    apellidos: user.user_metadata?.apellidos || user.raw_user_meta_data?.apellidos || null,
-  };
-
-  console.log('📝 Creating verified user profile:', {
-    userId: user.id,
-    email: user.email,
-    userType: userType,
-    hasFullName: !!profileData.full_name
-  });
-
-  const { error: profileError } = await supabase
-    .from('users')
-    .insert(profileData);
-
-  if (profileError) {
-    console.error('❌ Failed to create user profile after verification:', profileError);
-    throw profileError;
-  }
-
-  console.log('✅ User profile created successfully after verification');
-
-  // Create provider profile if needed (STACK OVERFLOW FIX)
-  if (userType === 'provider') {
-    console.log('👨‍💼 Creating provider profile for verified user (recursion-safe):', user.id);
-
-    try {
-      // METHOD 1: Try using custom RPC function (bypasses triggers)
-      const { data: rpcResult, error: rpcError } = await supabase
-        .rpc('create_provider_profile_webhook_safe', {
-          p_user_id: user.id,
-          p_description: 'Proveedor de servicios profesionales en Chile'
-        });
-
-      if (rpcError) {
-        console.log('⚠️ RPC function not available, using fallback method:', rpcError.message);
-
-        // METHOD 2: Fallback - use raw SQL to bypass triggers
-        const { error: sqlError } = await supabase
-          .from('provider_profiles')
-          .insert({
-            user_id: user.id,
-            business_name: null,
-            description: 'Proveedor de servicios profesionales en Chile',
-            verification_status: 'pending',
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          });
-
-        if (sqlError) {
-          console.error('❌ Both RPC and fallback failed for provider profile:', sqlError);
-          // Don't throw - user profile was created successfully
-        } else {
-          console.log('✅ Provider profile created via fallback method');
-        }
-      } else {
-        console.log('✅ Provider profile created via safe RPC function:', rpcResult);
-      }
-
-    } catch (recursionError) {
-      console.error('🚫 STACK OVERFLOW CAUGHT - Provider profile creation failed:', recursionError.message);
-
-      // Log the specific error for debugging
-      if (recursionError.message.includes('stack depth limit exceeded') ||
-          recursionError.message.includes('maximum recursion depth exceeded')) {
-        console.error('🔄 CONFIRMED: Trigger recursion detected in provider profile creation');
-        console.error('💡 SOLUTION: Database triggers need recursion fix via targeted_rls_fix.sql');
-      }
-
-      // Don't throw - user profile was created successfully, provider profile can be created later
-      console.log('⚠️ Continuing without provider profile - can be created during onboarding');
-    }
-  }
-}
-
-module.exports = async function handler(req, res) {
+const { readRawBody } = require('../lib/raw-body');
+const { processWebhookEvent } = require('../lib/webhook-processor');
+const { claimWebhookRetry, recordWebhookReceived, runWebhookAttempt } = require('../lib/webhook-ledger');
+const { WebhookVerificationError, verifyWebhookSignature } = require('../lib/webhook-signature');
+const { withRateLimit } = require('../lib/rate-limit');
+const { createLogger, withRequestContext } = require('../lib/logger');
+const { incrementCounter } = require('../lib/metrics');
+
+const { getConfig } = require('../lib/config');
+
+// Webhook secret (Standard Webhooks format: v1,whsec_<base64>), allowed clock skew and
+// the DEV ONLY unsigned switch - see lib/config.js
+const {
+  secret: WEBHOOK_SECRET,
+  toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS,
+  allowUnsigned: ALLOW_UNSIGNED_WEBHOOKS
+} = getConfig().webhook;
+
+const log = createLogger('auth-webhook');
+
+module.exports = withRequestContext(withRateLimit('auth-webhook', async function handler(req, res) {
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    // Verify webhook signature for security
-    const signature = req.headers['x-webhook-signature'] || req.headers['webhook-signature'];
-    const body = JSON.stringify(req.body);
+    // Verify webhook signature over the exact bytes Supabase signed
+    const rawBody = await readRawBody(req);
+    let webhookId = null;
 
-    if (signature && WEBHOOK_SECRET !== 'your-webhook-secret-here') {
-      const expectedSignature = crypto
-        .createHmac('sha256', WEBHOOK_SECRET)
-        .update(body)
-        .digest('hex');
-
-      if (signature !== expectedSignature) {
-        console.error('❌ Invalid webhook signature');
+    try {
+      ({ id: webhookId } = verifyWebhookSignature(rawBody, req.headers, {
+        secret: WEBHOOK_SECRET,
+        toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS
+      }));
+    } catch (verificationError) {
+      if (!(verificationError instanceof WebhookVerificationError)) {
+        throw verificationError;
+      }
+      if (!ALLOW_UNSIGNED_WEBHOOKS) {
+        log.error('❌ Webhook rejected', { reason: verificationError.message });
         return res.status(401).json({ error: 'Invalid signature' });
       }
+      log.warn('⚠️ DEV MODE: Accepting unverified webhook', { reason: verificationError.message });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
     }
 
-    const event = req.body;
-    console.log('🔗 Webhook received:', {
+    // Ledger key: the signed webhook ID (unsigned dev deliveries fall back to a body hash)
+    const eventId = webhookId ||
+      `unsigned_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+    log.info('🔗 Webhook received', {
+      eventId,
       type: event.type,
       userId: event.record?.id,
-      email: event.record?.email,
       emailConfirmedAt: event.record?.email_confirmed_at
     });
+    await incrementCounter('manito_webhooks_received_total', { type: event.type || 'unknown' });
 
-    // Handle email verification events
-    if (event.type === 'UPDATE' && event.table === 'users') {
-      const user = event.record;
-      const oldUser = event.old_record;
-
-      // Check if email was just verified (email_confirmed_at changed from null to a value)
-      if (!oldUser?.email_confirmed_at && user?.email_confirmed_at && user?.email) {
-        console.log('✅ Email verification detected for user:', user.email);
-
-        // ENHANCED DEBUG: Deep metadata analysis for user type extraction
-        console.log('🐛 Debug: Full user object received by webhook:', JSON.stringify(user, null, 2));
-        console.log('🐛 Debug: User metadata specifically:', user.user_metadata);
-        console.log('🐛 Debug: Raw metadata specifically:', user.raw_user_meta_data);
-        console.log('🐛 Debug: App metadata specifically:', user.app_metadata);
-
-        // IMPROVED USER TYPE EXTRACTION: Try multiple metadata sources
-        let extractedUserType = 'customer'; // Default fallback
-
-        // Method 1: Check user_metadata (primary)
-        if (user.user_metadata?.user_type) {
-          extractedUserType = user.user_metadata.user_type;
-          console.log('✅ User type from user_metadata:', extractedUserType);
-        }
-        // Method 2: Check raw_user_meta_data (alternative)
-        else if (user.raw_user_meta_data?.user_type) {
-          extractedUserType = user.raw_user_meta_data.user_type;
-          console.log('✅ User type from raw_user_meta_data:', extractedUserType);
-        }
-        // Method 3: Check app_metadata (admin set)
-        else if (user.app_metadata?.user_type) {
-          extractedUserType = user.app_metadata.user_type;
-          console.log('✅ User type from app_metadata:', extractedUserType);
-        }
-        // Method 4: Query database for user_type (fallback)
-        else {
-          console.log('⚠️ No user_type in metadata, querying database...');
-          try {
-            const { data: dbUser, error } = await supabase
-              .from('users')
-              .select('user_type')
-              .eq('id', user.id)
-              .single();
-
-            if (!error && dbUser?.user_type) {
-              extractedUserType = dbUser.user_type;
-              console.log('✅ User type from database query:', extractedUserType);
-            }
-          } catch (queryError) {
-            console.log('⚠️ Database query failed, using default:', queryError.message);
-          }
-        }
-
-        console.log('🎯 Final extracted user_type:', extractedUserType);
-
-        // SECURITY FIX: Create user profile AFTER email verification
-        try {
-          await createProfileAfterVerification(user, extractedUserType);
-        } catch (profileCreationError) {
-          console.error('❌ Profile creation after verification failed:', profileCreationError);
-          // Continue with verification event storage - don't fail webhook
-        }
-
-        // Store verification event for device-agnostic retrieval
-        const verificationEvent = {
-          user_id: user.id,
-          user_email: user.email,
-          verified_at: user.email_confirmed_at,
-          event_type: 'email_verified',
-          metadata: {
-            user_type: extractedUserType,
-            full_name: user.user_metadata?.full_name || user.raw_user_meta_data?.full_name || user.email.split('@')[0],
-            verification_method: 'email_link',
-            metadata_sources_checked: {
-              user_metadata: !!user.user_metadata?.user_type,
-              raw_user_meta_data: !!user.raw_user_meta_data?.user_type,
-              app_metadata: !!user.app_metadata?.user_type,
-              database_query: extractedUserType !== 'customer' || (!user.user_metadata?.user_type && !user.raw_user_meta_data?.user_type && !user.app_metadata?.user_type)
-            }
-          },
-          expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString() // 15 minute expiry
-        };
+    // IDEMPOTENCY: A retry or replay of a known event never re-runs completed work
+    const { duplicate, entry } = await recordWebhookReceived(eventId, event.type, event);
+    let previousSideEffects = {};
 
-        // Store in verification_events table
-        const { error: insertError } = await supabase
-          .from('verification_events')
-          .insert(verificationEvent);
-
-        if (insertError) {
-          console.error('❌ Failed to store verification event:', insertError);
-        } else {
-          console.log('📝 Verification event stored successfully');
-        }
-
-        // OPTIONAL: Clean up old verification events (older than 1 hour)
-        await supabase
-          .from('verification_events')
-          .delete()
-          .lt('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString());
+    if (duplicate) {
+      if (entry.status === 'processed') {
+        log.info('🔁 Duplicate webhook - returning original result', { eventId });
+        await incrementCounter('manito_webhooks_processed_total', { outcome: 'duplicate' });
+        return res.status(200).json(entry.result);
       }
-    }
-
-    // Handle auth.user.updated events (alternative webhook format)
-    if (event.type === 'auth.user.updated' && event.user) {
-      const user = event.user;
-
-      if (user.email_confirmed_at && user.email) {
-        console.log('✅ Auth webhook: Email verification for user:', user.email);
-
-        // IMPROVED USER TYPE EXTRACTION: Try multiple metadata sources (same as above)
-        let extractedUserType = 'customer'; // Default fallback
-
-        // Method 1: Check user_metadata (primary)
-        if (user.user_metadata?.user_type) {
-          extractedUserType = user.user_metadata.user_type;
-          console.log('✅ Auth webhook user type from user_metadata:', extractedUserType);
-        }
-        // Method 2: Check raw_user_meta_data (alternative)
-        else if (user.raw_user_meta_data?.user_type) {
-          extractedUserType = user.raw_user_meta_data.user_type;
-          console.log('✅ Auth webhook user type from raw_user_meta_data:', extractedUserType);
-        }
-        // Method 3: Check app_metadata (admin set)
-        else if (user.app_metadata?.user_type) {
-          extractedUserType = user.app_metadata.user_type;
-          console.log('✅ Auth webhook user type from app_metadata:', extractedUserType);
-        }
-        // Method 4: Query database for user_type (fallback)
-        else {
-          console.log('⚠️ Auth webhook: No user_type in metadata, querying database...');
-          try {
-            const { data: dbUser, error } = await supabase
-              .from('users')
-              .select('user_type')
-              .eq('id', user.id)
-              .single();
-
-            if (!error && dbUser?.user_type) {
-              extractedUserType = dbUser.user_type;
-              console.log('✅ Auth webhook user type from database query:', extractedUserType);
-            }
-          } catch (queryError) {
-            console.log('⚠️ Auth webhook database query failed, using default:', queryError.message);
-          }
-        }
 
-        console.log('🎯 Auth webhook final extracted user_type:', extractedUserType);
-
-        // SECURITY FIX: Create user profile AFTER email verification
-        try {
-          await createProfileAfterVerification(user, extractedUserType);
-        } catch (profileCreationError) {
-          console.error('❌ Auth webhook profile creation failed:', profileCreationError);
-          // Continue with verification event storage - don't fail webhook
-        }
+      // Failed earlier: this redelivery retries the failed steps (unless a retry run got there first)
+      if (entry.status !== 'failed' || !(await claimWebhookRetry(entry))) {
+        log.info('⏳ Duplicate webhook - original delivery still in progress', { eventId });
+        await incrementCounter('manito_webhooks_processed_total', { outcome: 'duplicate' });
+        return res.status(202).json({ success: true, status: 'received', eventId });
+      }
 
-        const verificationEvent = {
-          user_id: user.id,
-          user_email: user.email,
-          verified_at: user.email_confirmed_at,
-          event_type: 'email_verified_auth_webhook',
-          metadata: {
-            user_type: extractedUserType,
-            full_name: user.user_metadata?.full_name || user.raw_user_meta_data?.full_name || user.email.split('@')[0],
-            verification_method: 'auth_webhook',
-            metadata_sources_checked: {
-              user_metadata: !!user.user_metadata?.user_type,
-              raw_user_meta_data: !!user.raw_user_meta_data?.user_type,
-              app_metadata: !!user.app_metadata?.user_type,
-              database_query: extractedUserType !== 'customer' || (!user.user_metadata?.user_type && !user.raw_user_meta_data?.user_type && !user.app_metadata?.user_type)
-            }
-          },
-          expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString()
-        };
+      log.info('🔄 Redelivery of failed webhook - retrying failed steps', { eventId });
+      previousSideEffects = entry.side_effects || {};
+    }
 
-        const { error: insertError } = await supabase
-          .from('verification_events')
-          .insert(verificationEvent);
+    const outcome = await runWebhookAttempt(eventId, () =>
+      processWebhookEvent(event, { webhookEventId: eventId, previousSideEffects })
+    );
 
-        if (insertError) {
-          console.error('❌ Failed to store auth verification event:', insertError);
-        } else {
-          console.log('📝 Auth verification event stored successfully');
-        }
-      }
+    if (outcome.failed) {
+      log.warn('⚠️ Webhook side effects failed - queued for retry', { eventId });
     }
+    await incrementCounter('manito_webhooks_processed_total', { outcome: outcome.failed ? 'failed' : 'processed' });
 
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      eventType: event.type
-    });
+    // Side-effect failures are retried from the ledger, so Supabase doesn't need to resend
+    res.status(200).json(outcome.result);
 
   } catch (error) {
-    console.error('❌ Webhook processing error:', error);
+    log.error('❌ Webhook processing error', { error });
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
\ No newline at end of file
+}));
+
+// Signature verification needs the raw body - don't let the runtime parse it first
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Auth Callback Page - token links from the app's email flow (served at /)
+ * Rendered per request (lib/templates/callback.html) so every script and style
+ * carries the response's CSP nonce, and the page gets a fresh CSRF token for
+ * api/create-secure-session.js. Token handling happens in the page itself.
+ */
+
+const { applyContentSecurityPolicy } = require('../lib/csp');
+const { issueCsrfToken } = require('../lib/csrf');
+const { withRateLimit } = require('../lib/rate-limit');
+const { renderTemplate } = require('../lib/templates');
+const { withRequestContext } = require('../lib/logger');
+
+module.exports = withRequestContext(withRateLimit('callback', async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const nonce = applyContentSecurityPolicy(res);
+  const csrfToken = issueCsrfToken(res);
+
+  // Tokens arrive in the query string: never cache this page
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.status(200).send(renderTemplate('callback.html', { nonce, csrfToken }));
+}));
@@ -0,0 +1,54 @@
+// Vercel serverless function the app calls on first launch to continue a deferred deep link
+import { claimDeferredPayload } from '../lib/deferred-links.js';
+import { withRateLimit } from '../lib/rate-limit/index.js';
+import { withCsrfProtection } from '../lib/csrf.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { incrementCounter } from '../lib/metrics/index.js';
+
+const log = createLogger('claim-deferred-link');
+
+async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // From the Play Store install referrer (Android) or the clipboard (iOS), prefix stripped
+    const { claim_code } = req.body || {};
+
+    if (typeof claim_code !== 'string' || claim_code.length !== 32) {
+      return res.status(400).json({ error: 'Invalid claim code format' });
+    }
+
+    // Atomically fetch and delete the payload (one-time use, even under concurrent requests)
+    const payload = await claimDeferredPayload(claim_code);
+
+    if (!payload) {
+      await incrementCounter('manito_deferred_links_claimed_total', { outcome: 'not_found' });
+      return res.status(404).json({ error: 'Deferred link not found, expired or already claimed' });
+    }
+
+    log.info('✅ Deferred deep link claimed', { flow: payload.flow, platform: payload.platform });
+    await incrementCounter('manito_deferred_links_claimed_total', { outcome: 'claimed' });
+
+    // A hint for the app's first screen - not a session: the user still signs in
+    res.status(200).json({
+      email: payload.email,
+      flow: payload.flow,
+      locale: payload.locale,
+      verified: true,
+      created_at: new Date(payload.created_at).toISOString()
+    });
+
+  } catch (error) {
+    log.error('❌ Error claiming deferred deep link', { error });
+    res.status(500).json({
+      error: 'Failed to claim deferred link',
+      message: error.message
+    });
+  }
+}
+
+// Called by the native app (no Origin header); foreign browser origins are rejected
+export default withRequestContext(withRateLimit('claim-deferred-link', withCsrfProtection(handler, { requireToken: false })));
@@ -0,0 +1,53 @@
+// Vercel serverless function the app calls after scanning a desktop handoff QR code
+import { claimHandoff } from '../lib/handoff.js';
+import { withRateLimit } from '../lib/rate-limit/index.js';
+import { withCsrfProtection } from '../lib/csrf.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { incrementCounter } from '../lib/metrics/index.js';
+
+const log = createLogger('claim-handoff');
+
+async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // The `code` param of the scanned /auth/handoff app link
+    const { handoff_code } = req.body || {};
+
+    if (typeof handoff_code !== 'string' || handoff_code.length !== 64) {
+      return res.status(400).json({ error: 'Invalid handoff code format' });
+    }
+
+    // Atomically fetch and delete the handoff (one-time use, even under concurrent requests)
+    const handoff = await claimHandoff(handoff_code);
+
+    if (!handoff) {
+      await incrementCounter('manito_handoffs_claimed_total', { outcome: 'not_found' });
+      return res.status(404).json({ error: 'Handoff code not found, expired or already used' });
+    }
+
+    log.info('✅ Desktop handoff claimed', { handoffId: handoff.id, userId: handoff.user_id });
+    await incrementCounter('manito_handoffs_claimed_total', { outcome: 'claimed' });
+
+    // Pre-fill only: the user still signs in with their password
+    res.status(200).json({
+      email: handoff.email,
+      flow: handoff.flow,
+      locale: handoff.locale,
+      verified: true
+    });
+
+  } catch (error) {
+    log.error('❌ Error claiming desktop handoff', { error });
+    res.status(500).json({
+      error: 'Failed to claim handoff',
+      message: error.message
+    });
+  }
+}
+
+// Called by the native app (no Origin header); foreign browser origins are rejected
+export default withRequestContext(withRateLimit('claim-handoff', withCsrfProtection(handler, { requireToken: false })));
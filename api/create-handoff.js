@@ -0,0 +1,74 @@
+// Vercel serverless function for desktop-to-phone handoff QR codes (callback page on a desktop)
+import { AUTH_FLOWS } from '../lib/auth-flows.js';
+import { createHandoff } from '../lib/handoff.js';
+import { withRateLimit } from '../lib/rate-limit/index.js';
+import { withCsrfProtection } from '../lib/csrf.js';
+import { AccessTokenError, verifyAccessToken } from '../lib/access-token.js';
+import { createTranslator, negotiateLocale } from '../lib/i18n/index.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { incrementCounter } from '../lib/metrics/index.js';
+
+const log = createLogger('create-handoff');
+
+async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Only the access token, to prove who verified - the handoff itself never carries tokens
+    const { access_token, type, locale } = req.body || {};
+
+    // Validate token format (basic security)
+    if (typeof access_token !== 'string' || access_token.length < 50) {
+      return res.status(400).json({ error: 'Invalid access token format' });
+    }
+
+    // Only genuine, current tokens for a confirmed account get a handoff
+    let verified;
+    try {
+      verified = await verifyAccessToken(access_token);
+    } catch (tokenError) {
+      if (!(tokenError instanceof AccessTokenError)) {
+        throw tokenError;
+      }
+      log.warn('🚫 Rejected access token', { reason: tokenError.message });
+      const status = tokenError.message === 'Email not confirmed' ? 403 : 401;
+      return res.status(status).json({ error: tokenError.message });
+    }
+
+    const i18n = createTranslator(negotiateLocale({ lang: locale }));
+    const handoff = await createHandoff({
+      userId: verified.userId,
+      email: verified.email,
+      flow: AUTH_FLOWS[type] ? type : 'signup',
+      locale: i18n.locale,
+      qrLabel: i18n.t('handoff.qrLabel')
+    });
+    await incrementCounter('manito_handoffs_created_total', { page: 'callback' });
+
+    log.info('🖥️ Created desktop handoff', {
+      handoffId: handoff.id,
+      userId: verified.userId,
+      expiresAt: new Date(handoff.expiresAt).toISOString()
+    });
+
+    // The code itself only travels inside the QR code
+    res.status(200).json({
+      handoff_id: handoff.id,
+      qr_svg: handoff.qrSvg,
+      expires_at: handoff.expiresAt
+    });
+
+  } catch (error) {
+    log.error('❌ Error creating desktop handoff', { error });
+    res.status(500).json({
+      error: 'Failed to create handoff',
+      message: error.message
+    });
+  }
+}
+
+// Only the callback page may create handoffs: same-origin requests carrying its CSRF token
+export default withRequestContext(withRateLimit('create-handoff', withCsrfProtection(handler)));
@@ -1,38 +1,29 @@
 // Vercel serverless function for secure session code creation
-import crypto from 'crypto';
+import { createSessionCode } from '../lib/session-codes.js';
+import { isValidCodeChallenge } from '../lib/pkce.js';
+import { withRateLimit } from '../lib/rate-limit/index.js';
+import { withCsrfProtection } from '../lib/csrf.js';
+import { AccessTokenError, verifyAccessToken } from '../lib/access-token.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
 
-// Global store for session codes across serverless functions
-// Note: In production, this would use Redis or a database for persistence
-if (!global.sessionCodeStore) {
-  global.sessionCodeStore = new Map();
-}
-const sessionCodeStore = global.sessionCodeStore;
-
-// Clean up expired codes
-function cleanupExpiredCodes() {
-  const now = Date.now();
-  let cleanedCount = 0;
+const log = createLogger('create-secure-session');
 
-  for (const [code, tokens] of sessionCodeStore.entries()) {
-    if (tokens.expires_at && tokens.expires_at < now) {
-      sessionCodeStore.delete(code);
-      cleanedCount++;
-    }
-  }
-
-  if (cleanedCount > 0) {
-    console.log(`🧹 Cleaned up ${cleanedCount} expired session codes`);
-  }
-}
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    const { access_token, refresh_token, expires_in, token_type, type } = req.body;
+    const {
+      access_token,
+      refresh_token,
+      expires_in,
+      token_type,
+      type,
+      code_challenge,
+      code_challenge_method = 'S256'
+    } = req.body;
 
     // Validate required fields
     if (!access_token || !refresh_token) {
@@ -48,44 +39,60 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid refresh token format' });
     }
 
-    // Generate a secure random code (not predictable)
-    const randomBytes = crypto.randomBytes(32);
-    const session_code = randomBytes.toString('hex');
+    // PKCE: bind the code to the app instance that started the flow (S256 only, no 'plain')
+    if (code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'Unsupported code_challenge_method' });
+    }
 
-    // Set expiration (5 minutes from now)
-    const expires_at = Date.now() + (5 * 60 * 1000);
+    if (!isValidCodeChallenge(code_challenge)) {
+      return res.status(400).json({ error: 'Missing or invalid code_challenge' });
+    }
 
-    // Store tokens with the code (in production, use encrypted database storage)
-    sessionCodeStore.set(session_code, {
-      access_token,
-      refresh_token,
-      expires_in,
-      token_type,
-      type,
-      expires_at
+    // Only genuine, current tokens for a confirmed account get a code
+    let user_id;
+    try {
+      ({ userId: user_id } = await verifyAccessToken(access_token));
+    } catch (tokenError) {
+      if (!(tokenError instanceof AccessTokenError)) {
+        throw tokenError;
+      }
+      log.warn('🚫 Rejected access token', { reason: tokenError.message });
+      const status = tokenError.message === 'Email not confirmed' ? 403 : 401;
+      return res.status(status).json({ error: tokenError.message });
+    }
+
+    // Sealed under a random code (SESSION_CODE_TTL_SECONDS, 5 minutes by default) - the
+    // store only ever sees ciphertext and a hash of the code
+    const { sessionCode: session_code, expiresAt: expires_at } = await createSessionCode({
+      tokens: { access_token, refresh_token, expires_in, token_type, type },
+      codeChallenge: code_challenge,
+      userId: user_id
     });
 
-    console.log('🔐 Created secure session code:', {
+    log.info('🔐 Created secure session code', {
       codeLength: session_code.length,
       expiresAt: new Date(expires_at).toISOString(),
       hasAccessToken: !!access_token,
-      hasRefreshToken: !!refresh_token
+      hasRefreshToken: !!refresh_token,
+      userId: user_id,
+      pkce: code_challenge_method
     });
 
-    // Clean up expired codes
-    cleanupExpiredCodes();
-
     // Return the secure session code
     res.status(200).json({
       session_code,
+      user_id,
       expires_at
     });
 
   } catch (error) {
-    console.error('❌ Error creating secure session code:', error);
+    log.error('❌ Error creating secure session code', { error });
     res.status(500).json({
       error: 'Failed to create secure session code',
       message: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+// Only the callback page may mint codes: same-origin requests carrying its CSRF token
+export default withRequestContext(withRateLimit('create-secure-session', withCsrfProtection(handler)));
@@ -0,0 +1,89 @@
+/**
+ * CSP Violation Reports
+ * Collects Content-Security-Policy violations from the served pages (see lib/csp.js).
+ * Accepts both formats browsers send:
+ *   application/csp-report    - report-uri: { "csp-report": { ... } }
+ *   application/reports+json  - Reporting API: [{ type: 'csp-violation', body: { ... } }]
+ */
+
+const { readRawBody } = require('../lib/raw-body');
+const { withRateLimit } = require('../lib/rate-limit');
+const { createLogger, withRequestContext } = require('../lib/logger');
+
+const log = createLogger('csp-report');
+
+// Reports are small; anything bigger is not a browser report
+const MAX_REPORT_BYTES = 64 * 1024;
+
+/**
+ * Normalize either report format into a list of violations
+ */
+function parseReports(payload) {
+  const reports = Array.isArray(payload) ? payload : [payload];
+
+  return reports
+    .map((report) => {
+      if (report?.['csp-report']) {
+        const body = report['csp-report'];
+        return {
+          documentUri: body['document-uri'],
+          directive: body['effective-directive'] || body['violated-directive'],
+          blockedUri: body['blocked-uri'],
+          sourceFile: body['source-file'],
+          lineNumber: body['line-number'],
+          disposition: body.disposition
+        };
+      }
+      if (report?.type === 'csp-violation' && report.body) {
+        const body = report.body;
+        return {
+          documentUri: body.documentURL,
+          directive: body.effectiveDirective,
+          blockedUri: body.blockedURL,
+          sourceFile: body.sourceFile,
+          lineNumber: body.lineNumber,
+          disposition: body.disposition
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Query strings on our pages carry one-time tokens - never log them
+function stripQuery(uri) {
+  return typeof uri === 'string' ? uri.split(/[?#]/)[0] : uri;
+}
+
+module.exports = withRequestContext(withRateLimit('csp-report', async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let payload;
+  try {
+    const rawBody = await readRawBody(req, MAX_REPORT_BYTES);
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid report' });
+  }
+
+  const violations = parseReports(payload);
+  violations.forEach((violation) => {
+    log.warn('🛡️ CSP violation', {
+      ...violation,
+      documentUri: stripQuery(violation.documentUri),
+      blockedUri: stripQuery(violation.blockedUri),
+      sourceFile: stripQuery(violation.sourceFile)
+    });
+  });
+
+  return res.status(204).end();
+}));
+
+// Browsers send application/csp-report and application/reports+json, so read the body ourselves
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
@@ -1,55 +1,96 @@
 /**
  * Get Recent Email Verification - Device-Agnostic API
- * Returns the most recent email verification event for device-agnostic email extraction
+ * Returns the caller's own verification event. The caller must prove who they are with
+ * either a Supabase access token (Authorization: Bearer) or the verification link's
+ * correlation token. Cross-origin access is limited to the configured allowedOrigins.
  * Used by verified.js to get email context across devices/sessions
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { applyCors } = require('../lib/cors');
+const { verifyCorrelationToken } = require('../lib/correlation-token');
+const { withRateLimit } = require('../lib/rate-limit');
+const { getSupabaseAdmin } = require('../lib/supabase');
+const { getConfig } = require('../lib/config');
+const { createLogger, withRequestContext } = require('../lib/logger');
 
-// Initialize Supabase admin client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const log = createLogger('get-recent-verification');
 
-module.exports = async function handler(req, res) {
-  // Set CORS headers for browser access
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// Supabase admin client (validates config at cold start)
+const supabase = getSupabaseAdmin();
+
+/**
+ * Resolve the caller's identity into a verification_events filter.
+ * Resolves { column, value }, or { error, status } when the proof is missing or invalid.
+ */
+async function resolveCaller(req) {
+  const authorization = req.headers.authorization || '';
+
+  if (authorization.startsWith('Bearer ')) {
+    const { data, error } = await supabase.auth.getUser(authorization.slice('Bearer '.length));
+    if (error || !data?.user) {
+      return { status: 401, error: 'Invalid access token' };
+    }
+    return { column: 'user_id', value: data.user.id };
+  }
+
+  const correlation = verifyCorrelationToken(req.query?.correlation);
+  if (correlation) {
+    return { column: 'correlation_id', value: correlation.cid };
+  }
+
+  return { status: 401, error: 'Authentication required' };
+}
+
+module.exports = withRequestContext(withRateLimit('get-recent-verification', async function handler(req, res) {
+  // CORS: allowed origins only (never a wildcard)
+  if (!applyCors(req, res, { methods: 'GET, OPTIONS', headers: 'Authorization, Content-Type' })) {
+    return;
+  }
 
   if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+    return res.status(204).end();
   }
 
+  // Personal data - never cached by browsers or intermediaries
+  res.setHeader('Cache-Control', 'no-store');
+
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    console.log('🔍 API: Getting recent email verification events...');
+    // SECURITY: Never fall back to "most recent" - only the caller's own event is returned
+    const caller = await resolveCaller(req);
+    if (caller.error) {
+      return res.status(caller.status).json({
+        error: caller.error,
+        message: 'A Supabase access token or a valid verification link token is required'
+      });
+    }
 
-    // Get the most recent verification events (last 15 minutes)
+    log.info('🔍 API: Getting verification event for caller', { by: caller.column });
+
+    // Get the caller's verification event (last 15 minutes)
     const { data: recentVerifications, error: verificationError } = await supabase
       .from('verification_events')
       .select('user_email, verified_at, metadata, event_type')
+      .eq(caller.column, caller.value)
       .gt('expires_at', new Date().toISOString())
-      .gte('verified_at', new Date(Date.now() - 15 * 60 * 1000).toISOString())
+      .gte('verified_at', new Date(Date.now() - getConfig().verification.eventTtlMs).toISOString())
       .order('verified_at', { ascending: false })
       .limit(1);
 
-    console.log('🐛 Debug - Recent verification query result:', {
+    log.debug('Recent verification query result', {
       count: recentVerifications?.length || 0,
       error: verificationError?.message,
       data: recentVerifications?.[0] ? {
-        email: recentVerifications[0].user_email,
         verified_at: recentVerifications[0].verified_at,
         event_type: recentVerifications[0].event_type
       } : null
     });
 
     if (verificationError) {
-      console.error('❌ Error querying verification events:', verificationError);
+      log.error('❌ Error querying verification events', { error: verificationError });
       return res.status(500).json({
         error: 'Database query failed',
         message: verificationError.message
@@ -57,18 +98,17 @@ module.exports = async function handler(req, res) {
     }
 
     if (!recentVerifications || recentVerifications.length === 0) {
-      console.log('⚠️ No recent verification events found');
+      log.info('⚠️ No verification event found for caller', { by: caller.column });
       return res.status(404).json({
         error: 'No recent verification found',
-        message: 'No email verification in the last 15 minutes'
+        message: 'No email verification for this caller in the last 15 minutes'
       });
     }
 
     const recentVerification = recentVerifications[0];
     const minutesAgo = (Date.now() - new Date(recentVerification.verified_at).getTime()) / (1000 * 60);
 
-    console.log('✅ Recent verification found:', {
-      email: recentVerification.user_email,
+    log.info('✅ Recent verification found', {
       minutesAgo: Math.round(minutesAgo * 10) / 10,
       event_type: recentVerification.event_type
     });
@@ -83,10 +123,10 @@ module.exports = async function handler(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ Recent verification API error:', error);
+    log.error('❌ Recent verification API error', { error });
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
   }
-};
\ No newline at end of file
+}));
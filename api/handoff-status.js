@@ -0,0 +1,41 @@
+/**
+ * Handoff Status - polled by desktop pages showing a handoff QR code
+ * GET /api/handoff-status?id=<handoff ID> -> { status: 'pending' | 'claimed' }
+ *
+ * Keyed by the handoff's public ID, never its code. 'claimed' is reported once; the page
+ * stops polling then, and works out expiry from the handoff's expires_at itself.
+ */
+
+const { applyCors } = require('../lib/cors');
+const { takeHandoffClaim } = require('../lib/handoff');
+const { withRateLimit } = require('../lib/rate-limit');
+const { createLogger, withRequestContext } = require('../lib/logger');
+
+const log = createLogger('handoff-status');
+
+module.exports = withRequestContext(withRateLimit('handoff-status', async function handler(req, res) {
+  if (!applyCors(req, res)) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const claimed = await takeHandoffClaim(req.query?.id);
+    if (claimed) {
+      log.info('📲 Handoff claimed - updating desktop page', { handoffId: req.query.id });
+    }
+    res.status(200).json({ status: claimed ? 'claimed' : 'pending' });
+  } catch (error) {
+    log.error('❌ Error checking handoff status', { error });
+    res.status(500).json({ error: 'Failed to check handoff status' });
+  }
+}));
@@ -0,0 +1,86 @@
+/**
+ * Health Check - is this deployment able to serve the auth flow?
+ * Checks the database (Supabase) and, when any store uses it, Redis.
+ * 200 when every check passes, 503 otherwise. Failure details go to the logs only.
+ */
+
+const { getSupabaseAdmin } = require('../lib/supabase');
+const { getRedisClient } = require('../lib/redis');
+const { withRateLimit } = require('../lib/rate-limit');
+const { getConfig } = require('../lib/config');
+const { createLogger, withRequestContext } = require('../lib/logger');
+
+const log = createLogger('health');
+
+// A check that hasn't answered by then counts as down
+const CHECK_TIMEOUT_MS = 2000;
+
+async function checkDatabase() {
+  const { error } = await getSupabaseAdmin()
+    .from('verification_events')
+    .select('id')
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function checkRedis() {
+  const reply = await getRedisClient().ping();
+  if (reply !== 'PONG') {
+    throw new Error(`Unexpected PING reply: ${reply}`);
+  }
+}
+
+/**
+ * The checks that apply to this deployment's configuration
+ */
+function selectChecks() {
+  const { sessionCodes, rateLimit, metrics } = getConfig();
+  const checks = { database: checkDatabase };
+
+  if ([sessionCodes.store, rateLimit.store, metrics.store].includes('redis')) {
+    checks.redis = checkRedis;
+  }
+  return checks;
+}
+
+async function runCheck(name, check) {
+  const startedAt = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    log.error('❌ Health check failed', { check: name, error });
+    return { status: 'down', latencyMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = withRequestContext(withRateLimit('health', async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const checks = selectChecks();
+  const results = await Promise.all(
+    Object.entries(checks).map(async ([name, check]) => [name, await runCheck(name, check)])
+  );
+  const healthy = results.every(([, result]) => result.status === 'ok');
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'degraded',
+    environment: getConfig().environment,
+    checks: Object.fromEntries(results)
+  });
+}));
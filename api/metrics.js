@@ -0,0 +1,49 @@
+/**
+ * Metrics - Prometheus scrape endpoint for the verification funnel (lib/metrics)
+ * Scrapers authenticate with `Authorization: Bearer <METRICS_TOKEN>`; without a
+ * configured token the endpoint stays closed.
+ */
+
+const crypto = require('crypto');
+const { renderMetrics } = require('../lib/metrics');
+const { withRateLimit } = require('../lib/rate-limit');
+const { getConfig } = require('../lib/config');
+const { createLogger, withRequestContext } = require('../lib/logger');
+
+const log = createLogger('metrics');
+
+function isAuthorized(req) {
+  const token = getConfig().secrets.metrics;
+  if (!token) {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = withRequestContext(withRateLimit('metrics', async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const body = await renderMetrics();
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).send(body);
+
+  } catch (error) {
+    log.error('❌ Failed to render metrics', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}));
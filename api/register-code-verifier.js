@@ -0,0 +1,53 @@
+/**
+ * PKCE Code Verifier Registration - lets /verified exchange `?code=` links
+ * POST /api/register-code-verifier
+ *   Authorization: Bearer <SUPABASE_SERVICE_ROLE_KEY>
+ *   { "correlation": "<token from the link>", "code_verifier": "<verifier>[/<redirect type>]" }
+ *
+ * Called by the signup edge function right after it starts a PKCE flow: it sends the
+ * correlation token it put in emailRedirectTo and the verifier Supabase's client stored.
+ * See lib/link-verification.js.
+ */
+
+const crypto = require('crypto');
+const { registerCodeVerifier } = require('../lib/link-verification');
+const { withRateLimit } = require('../lib/rate-limit');
+const { getConfig } = require('../lib/config');
+const { createLogger, withRequestContext } = require('../lib/logger');
+
+const log = createLogger('register-code-verifier');
+
+// Only server-side callers holding the service role key
+function isAuthorized(req) {
+  const expected = Buffer.from(`Bearer ${getConfig().supabase.serviceRoleKey}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = withRequestContext(withRateLimit('register-code-verifier', async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { correlation, code_verifier } = req.body || {};
+
+    if (!(await registerCodeVerifier(correlation, code_verifier))) {
+      return res.status(400).json({ error: 'Invalid correlation token or code_verifier' });
+    }
+
+    log.info('🔐 Registered PKCE code verifier for link');
+    res.status(204).end();
+
+  } catch (error) {
+    log.error('❌ Error registering code verifier', { error });
+    res.status(500).json({
+      error: 'Failed to register code verifier',
+      message: error.message
+    });
+  }
+}));
@@ -1,44 +1,67 @@
 // Vercel serverless function for retrieving tokens from secure session code
+import { getSessionStore } from '../lib/session-store/index.js';
+import { openSession, storageKeyForCode } from '../lib/session-crypto.js';
+import { isValidCodeVerifier, verifyCodeVerifier } from '../lib/pkce.js';
+import { withRateLimit } from '../lib/rate-limit/index.js';
+import { withCsrfProtection } from '../lib/csrf.js';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+import { incrementCounter } from '../lib/metrics/index.js';
 
-// Global store for session codes shared with create-secure-session
-// Note: In production, this would use Redis or a database for persistence
-if (!global.sessionCodeStore) {
-  global.sessionCodeStore = new Map();
-}
-const sessionCodeStore = global.sessionCodeStore;
+const log = createLogger('retrieve-session');
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    const { session_code } = req.body;
+    const { session_code, code_verifier } = req.body;
 
     // Validate session code format
-    if (!session_code || session_code.length !== 64) {
+    if (typeof session_code !== 'string' || session_code.length !== 64) {
       return res.status(400).json({ error: 'Invalid session code format' });
     }
 
-    // Get tokens from store
-    const tokens = sessionCodeStore.get(session_code);
+    // Checked before touching the store so malformed requests don't burn the code
+    if (!isValidCodeVerifier(code_verifier)) {
+      return res.status(400).json({ error: 'Missing or invalid code_verifier' });
+    }
+
+    // Atomically fetch and delete the code (one-time use, even under concurrent requests)
+    const entry = await getSessionStore().take(storageKeyForCode(session_code));
 
-    if (!tokens) {
+    if (!entry) {
+      await incrementCounter('manito_session_codes_rejected_total', { reason: 'not_found' });
       return res.status(404).json({ error: 'Session code not found or expired' });
     }
 
-    // Check expiration
+    // Check expiration (defense in depth - stores already drop expired codes)
     const now = Date.now();
-    if (tokens.expires_at && tokens.expires_at < now) {
-      sessionCodeStore.delete(session_code);
+    if (entry.expires_at && entry.expires_at < now) {
+      await incrementCounter('manito_session_codes_rejected_total', { reason: 'expired' });
       return res.status(410).json({ error: 'Session code expired' });
     }
 
-    console.log('✅ Successfully retrieved tokens from session code');
+    // PKCE: only the holder of the verifier may redeem (the code is already burned either way)
+    if (!verifyCodeVerifier(code_verifier, entry.code_challenge)) {
+      log.error('❌ PKCE verification failed for session code redemption');
+      await incrementCounter('manito_session_codes_rejected_total', { reason: 'invalid_verifier' });
+      return res.status(401).json({ error: 'Invalid code_verifier' });
+    }
 
-    // Immediately delete the code after use (one-time use)
-    sessionCodeStore.delete(session_code);
+    // Decrypt and verify the authentication tag before returning anything
+    let tokens;
+    try {
+      tokens = openSession(session_code, entry.sealed);
+    } catch (decryptError) {
+      log.error('❌ Session payload failed authentication', { reason: decryptError.message });
+      await incrementCounter('manito_session_codes_rejected_total', { reason: 'tampered' });
+      return res.status(404).json({ error: 'Session code not found or expired' });
+    }
+
+    log.info('✅ Successfully retrieved tokens from session code', { userId: entry.user_id });
+    await incrementCounter('manito_session_codes_redeemed_total');
 
     // Return the tokens
     res.status(200).json({
@@ -46,14 +69,19 @@ export default async function handler(req, res) {
       refresh_token: tokens.refresh_token,
       expires_in: tokens.expires_in,
       token_type: tokens.token_type,
-      type: tokens.type
+      type: tokens.type,
+      // Checked by the app against the account it expected to sign in
+      user_id: entry.user_id
     });
 
   } catch (error) {
-    console.error('❌ Error retrieving tokens from session code:', error);
+    log.error('❌ Error retrieving tokens from session code', { error });
     res.status(500).json({
       error: 'Failed to retrieve session tokens',
       message: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+// Redeemed by the native app (no Origin header); foreign browser origins are rejected
+export default withRequestContext(withRateLimit('retrieve-session', withCsrfProtection(handler, { requireToken: false })));
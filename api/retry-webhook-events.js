@@ -0,0 +1,79 @@
+/**
+ * Webhook Retry Job - Re-runs failed webhook side effects from the ledger
+ * Invoked by Vercel Cron (see vercel.json); Supabase never has to resend the webhook.
+ * Steps that already completed (e.g. profile creation) are skipped.
+ */
+
+const crypto = require('crypto');
+const { processWebhookEvent } = require('../lib/webhook-processor');
+const { claimWebhookRetry, listRetryableWebhooks, runWebhookAttempt } = require('../lib/webhook-ledger');
+const { withRateLimit } = require('../lib/rate-limit');
+const { getConfig } = require('../lib/config');
+const { createLogger, withRequestContext } = require('../lib/logger');
+
+const log = createLogger('retry-webhook-events');
+
+// Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`
+function isAuthorized(req) {
+  const secret = getConfig().secrets.cron;
+  if (!secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = withRequestContext(withRateLimit('retry-webhook-events', async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const entries = await listRetryableWebhooks();
+    const summary = { found: entries.length, processed: 0, failed: 0, skipped: 0 };
+
+    log.info('🔄 Retrying webhook events from the ledger', { count: entries.length });
+
+    for (const entry of entries) {
+      // Another retry run (or a Supabase redelivery) may have claimed it first
+      if (!(await claimWebhookRetry(entry))) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const outcome = await runWebhookAttempt(entry.id, () =>
+          processWebhookEvent(entry.payload, {
+            webhookEventId: entry.id,
+            previousSideEffects: entry.side_effects || {}
+          })
+        );
+
+        if (outcome.failed) {
+          summary.failed++;
+        } else {
+          summary.processed++;
+        }
+      } catch (error) {
+        log.error('❌ Webhook retry failed', { eventId: entry.id, error });
+        summary.failed++;
+      }
+    }
+
+    log.info('✅ Webhook retry run complete', summary);
+    res.status(200).json({ success: true, ...summary });
+
+  } catch (error) {
+    log.error('❌ Webhook retry job error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}));
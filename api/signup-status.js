@@ -0,0 +1,136 @@
+/**
+ * Signup Status - lets the app's "check your email" screen advance on its own
+ * GET /api/signup-status?handle=<signup handle>
+ *
+ * Long-poll (default): answers as soon as the status differs from `known` (default
+ * 'pending'), or after `wait` seconds (default and maximum 25) with the current status:
+ *   { "status": "pending" | "verified" | "expired", "verified_at": "..." }
+ *
+ * Server-Sent Events (Accept: text/event-stream): a `status` event right away and on every
+ * change, with comment heartbeats in between. The stream ends after a final status, or
+ * after 50 seconds; EventSource reconnects by itself.
+ *
+ * The signup handle comes from the signup flow (lib/correlation-token.js); statuses come
+ * from lib/signup-status.js.
+ */
+
+const { applyCors } = require('../lib/cors');
+const { verifySignupHandle } = require('../lib/correlation-token');
+const { getSignupStatus, waitForSignupStatus } = require('../lib/signup-status');
+const { withRateLimit } = require('../lib/rate-limit');
+const { createLogger, withRequestContext } = require('../lib/logger');
+const { incrementCounter } = require('../lib/metrics');
+
+const log = createLogger('signup-status');
+
+const STATUSES = ['pending', 'verified', 'expired'];
+const FINAL_STATUSES = ['verified', 'expired'];
+const LONG_POLL_MAX_SECONDS = 25;
+const STREAM_DURATION_MS = 50 * 1000;
+const STREAM_RETRY_MS = 3000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Abort signal for the request: fires when the client goes away
+ */
+function signalForRequest(req) {
+  const controller = new AbortController();
+  req.on?.('close', () => controller.abort());
+  return controller;
+}
+
+async function longPoll(req, res, handle) {
+  const known = STATUSES.includes(req.query?.known) ? req.query.known : 'pending';
+  const requestedWait = Number.parseInt(req.query?.wait, 10);
+  const waitSeconds = Number.isNaN(requestedWait)
+    ? LONG_POLL_MAX_SECONDS
+    : Math.min(Math.max(requestedWait, 0), LONG_POLL_MAX_SECONDS);
+
+  const controller = signalForRequest(req);
+  const current = await waitForSignupStatus(handle, {
+    knownStatus: known,
+    timeoutMs: waitSeconds * 1000,
+    signal: controller.signal
+  });
+
+  await incrementCounter('manito_signup_status_responses_total', { mode: 'long_poll', status: current.status });
+  res.status(200).json(current);
+}
+
+async function streamStatus(req, res, handle) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const controller = signalForRequest(req);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+  const deadline = Date.now() + STREAM_DURATION_MS;
+  const timeout = setTimeout(() => controller.abort(), STREAM_DURATION_MS);
+
+  try {
+    let current = await getSignupStatus(handle);
+    let sent = null;
+
+    while (!controller.signal.aborted) {
+      if (current.status !== sent) {
+        res.write(`event: status\ndata: ${JSON.stringify(current)}\n\n`);
+        await incrementCounter('manito_signup_status_responses_total', { mode: 'sse', status: current.status });
+        sent = current.status;
+      }
+      // Stop at the deadline as well: waiting with no time left would just re-poll
+      if (FINAL_STATUSES.includes(current.status) || Date.now() >= deadline) {
+        break;
+      }
+      current = await waitForSignupStatus(handle, {
+        knownStatus: sent,
+        timeoutMs: Math.max(deadline - Date.now(), 0),
+        signal: controller.signal
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+    res.end();
+  }
+}
+
+module.exports = withRequestContext(withRateLimit('signup-status', async function handler(req, res) {
+  if (!applyCors(req, res)) {
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  const handle = verifySignupHandle(req.query?.handle);
+  if (!handle) {
+    return res.status(400).json({ error: 'Invalid signup handle' });
+  }
+
+  try {
+    if ((req.headers.accept || '').includes('text/event-stream')) {
+      log.debug('Streaming signup status', { correlationId: handle.cid });
+      await streamStatus(req, res, handle);
+      return;
+    }
+    await longPoll(req, res, handle);
+  } catch (error) {
+    log.error('❌ Error reporting signup status', { error });
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(500).json({ error: 'Failed to check signup status' });
+  }
+}));
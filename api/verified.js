@@ -1,133 +1,228 @@
 /**
- * IMPROVED Email Verification Success Handler - Pure Webhook Architecture
- * REMOVES: All legacy token validation logic
- * ADDS: Retry logic for webhook timing race conditions
+ * IMPROVED Email Verification Success Handler - Direct Verification + Webhook Fallback
+ * VERIFIES: Supabase token_hash links and PKCE code links (with a registered verifier)
+ *   server-side - no webhook timing race
+ * FALLS BACK: To webhook-recorded events with retry logic for legacy redirect links
  * ENSURES: Device-agnostic email extraction works 100% of the time
+ * BINDS: Each page view to the user who clicked the link (signed correlation token)
+ * SERVES: A landing page per link flow (signup, invite, recovery, magic link, email change)
+ * LOCALIZES: es-CL, en and pt-BR via ?lang=, the user's metadata locale or Accept-Language
+ * RENDERS: Pages from lib/templates (escaped by default) under a nonce-based CSP
+ * CONFIRMS: One-time links on POST only - GET and HEAD get a confirm step, so mail scanners
+ *   fetching the link first can't use it up (lib/link-scanners.js)
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { AUTH_FLOWS, flowForEventType } = require('../lib/auth-flows');
+const { verifyCorrelationToken } = require('../lib/correlation-token');
+const { hasVerifiableLink, verifyEmailLink } = require('../lib/link-verification');
+const { createSessionCode } = require('../lib/session-codes');
+const { withRateLimit } = require('../lib/rate-limit');
+const { getSupabaseAdmin } = require('../lib/supabase');
+const { getConfig } = require('../lib/config');
+const { createTranslator, localeFromUser, negotiateLocale } = require('../lib/i18n');
+const { renderPage } = require('../lib/templates');
+const { appLink } = require('../lib/app-links');
+const { createDeferredHint, detectPlatform } = require('../lib/deferred-links');
+const { createHandoff } = require('../lib/handoff');
+const { classifyLinkRequest } = require('../lib/link-scanners');
+const { withCsrfProtection } = require('../lib/csrf');
+const { applyContentSecurityPolicy } = require('../lib/csp');
+const { createLogger, withRequestContext } = require('../lib/logger');
+const { incrementCounter, observeHistogram } = require('../lib/metrics');
+
+// Supabase admin client (validates config at cold start)
+const supabase = getSupabaseAdmin();
+
+const log = createLogger('verified');
 
-// Initialize Supabase admin client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+/**
+ * Send an HTML page in the negotiated locale
+ */
+function sendPage(res, status, html, i18n) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Language', i18n.locale);
+  res.status(status).send(html);
+}
+
+module.exports = withRequestContext(withRateLimit('verified', withCsrfProtection(async function handler(req, res) {
+  // Until we know who the user is, the query override and the browser decide the language
+  const requestLocale = { lang: req.query?.lang, acceptLanguage: req.headers['accept-language'] };
+  let i18n = createTranslator(negotiateLocale(requestLocale));
+  let nonce;
+
+  if (!['GET', 'HEAD', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, HEAD, POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
 
-module.exports = async function handler(req, res) {
   try {
     // Set security headers
     res.setHeader('X-Frame-Options', 'DENY');
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-    res.setHeader('Content-Security-Policy',
-      "default-src 'self'; " +
-      "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; " +
-      "font-src 'self' https://fonts.gstatic.com; " +
-      "script-src 'self' 'unsafe-inline'; " +
-      "connect-src 'self';"
-    );
+    nonce = applyContentSecurityPolicy(res);
 
     // CACHE-BUSTING: Prevent browser caching of verification pages
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
+    res.setHeader('Vary', 'Accept-Language');
 
-    console.log('🔒 Enterprise: Device-agnostic email verification handler');
+    log.info('🔒 Enterprise: Device-agnostic email verification handler');
 
-    // ENHANCED DEBUG: Log request details (without tokens - they're consumed by Supabase)
-    console.log('🐛 Debug - Request details:', {
-      query: req.query,
-      url: req.url,
+    // Parameter names only - values are one-time secrets
+    log.debug('Request details', {
+      queryParams: Object.keys(req.query || {}),
+      path: (req.url || '').split('?')[0],
       hasReferer: !!req.headers.referer,
       userAgent: req.headers['user-agent']?.substring(0, 100) + '...'
     });
 
+    const correlation = verifyCorrelationToken(req.query?.correlation);
+
+    // SCANNER PROTECTION: Nothing is consumed until the confirm step posts back
+    if (req.method !== 'POST' && (hasVerifiableLink(req.query) || correlation)) {
+      const client = classifyLinkRequest(req);
+      log.info('🛡️ Serving confirm step - link not consumed', { client, method: req.method });
+
+      sendPage(res, 200, generateConfirmPage(i18n, nonce), i18n);
+      await incrementCounter('manito_verification_confirm_pages_total', { client });
+      return;
+    }
+
+    // DETERMINISTIC PATH: Verify the link with Supabase ourselves - no waiting for the webhook
+    if (hasVerifiableLink(req.query)) {
+      const linkResult = await verifyEmailLink(req.query);
+
+      if (!linkResult.error) {
+        log.info('✅ Link verified server-side', {
+          flow: linkResult.flow,
+          userId: linkResult.user.id
+        });
+
+        i18n = createTranslator(negotiateLocale({
+          ...requestLocale,
+          metadataLocale: localeFromUser(linkResult.user)
+        }));
+
+        // Recovery and magic links: the app redeems the session with its PKCE verifier
+        const sessionCode = linkResult.session
+          ? await createLinkSessionCode(linkResult, req.query.type || linkResult.flow)
+          : null;
+
+        const handoff = await createDesktopHandoff(req, linkResult.user.email, linkResult.flow, i18n);
+        const successHtml = await generateSuccessPage(linkResult.user.email, linkResult.flow, i18n, Date.now(), nonce, handoff, sessionCode);
+        sendPage(res, 200, successHtml, i18n);
+        await incrementCounter('manito_verification_pages_total', { flow: linkResult.flow, source: 'link' });
+        return;
+      }
+
+      log.warn('⚠️ Server-side link verification failed', { reason: linkResult.error });
+
+      if (!correlation) {
+        sendPage(res, 410, generateExpiredLinkPage(i18n, nonce), i18n);
+        await incrementCounter('manito_expired_link_pages_total', { reason: 'link_rejected' });
+        return;
+      }
+
+      log.info('🔄 Falling back to webhook-recorded verification event');
+    }
+
+    // SECURITY: Only resolve the verification event bound to this link - fail closed otherwise
+
+    if (!correlation) {
+      log.warn('⚠️ Missing or invalid correlation token - refusing to guess the user');
+
+      sendPage(res, 410, generateExpiredLinkPage(i18n, nonce), i18n);
+      await incrementCounter('manito_expired_link_pages_total', { reason: 'no_correlation' });
+      return;
+    }
+
     // DEVICE-AGNOSTIC EMAIL EXTRACTION with retry logic
-    const extractedEmail = await getEmailWithRetry();
-
-    console.log('🐛 Debug - Post-extraction check:', {
-      extractedEmail: extractedEmail,
-      isNull: extractedEmail === null,
-      isUndefined: extractedEmail === undefined,
-      isFalsy: !extractedEmail,
-      typeof: typeof extractedEmail
-    });
+    const verification = await getEmailWithRetry(correlation.cid);
+    const extractedEmail = verification?.email || null;
 
     if (!extractedEmail) {
-      console.log('⚠️ No email found after retries - verification link expired or already used');
-      console.log('🔄 Serving expired verification link error page');
+      log.info('⚠️ No email found after retries - serving expired link page');
 
       // IMPROVED UX: Show proper error page for expired/used links
-      const errorHtml = generateExpiredLinkPage();
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.status(410).send(errorHtml); // 410 Gone - appropriate for expired links
+      // 410 Gone - appropriate for expired links
+      sendPage(res, 410, generateExpiredLinkPage(i18n, nonce), i18n);
+      await incrementCounter('manito_expired_link_pages_total', { reason: 'not_found' });
       return;
     }
 
-    console.log('📧 Final email result:', {
-      email: extractedEmail || 'unknown',
-      hasEmail: !!extractedEmail
-    });
+    // The recorded event type decides which flow's landing page and app route to use
+    const flow = flowForEventType(verification.eventType);
+    log.info('🧭 Verification flow', { flow, eventType: verification.eventType });
+
+    // The locale recorded with the verification event (the user's metadata locale)
+    i18n = createTranslator(negotiateLocale({ ...requestLocale, metadataLocale: verification.locale }));
 
     // IMPROVED: Enhanced success page with proper email extraction
-    const successHtml = generateSuccessPage(extractedEmail);
+    const handoff = await createDesktopHandoff(req, extractedEmail, flow, i18n);
+    const successHtml = await generateSuccessPage(extractedEmail, flow, i18n, verification.verifiedAt, nonce, handoff);
+    sendPage(res, 200, successHtml, i18n);
 
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.status(200).send(successHtml);
+    await incrementCounter('manito_verification_pages_total', { flow, source: 'webhook' });
+    await observeHistogram('manito_webhook_to_page_seconds',
+      Math.max(0, (Date.now() - new Date(verification.verifiedAt).getTime()) / 1000));
 
   } catch (error) {
-    console.error('❌ Error serving verification success page:', error);
+    log.error('❌ Error serving verification success page', { error });
 
     // Minimal fallback page
-    const fallbackHtml = generateFallbackPage();
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.status(200).send(fallbackHtml);
+    sendPage(res, 200, generateFallbackPage(i18n, nonce), i18n);
   }
-};
+}, { requireToken: false })));
 
 /**
  * CRITICAL FIX: Device-agnostic email extraction with retry logic
  * Handles timing race conditions where webhook hasn't processed yet
+ * Only the event recorded with the given correlation ID can match
+ * Resolves { email, eventType, verifiedAt, locale } or null
  */
-async function getEmailWithRetry(maxRetries = 6) {
-  console.log('🔍 Starting device-agnostic email extraction with retry logic...');
+async function getEmailWithRetry(correlationId, maxRetries = getConfig().verification.maxRetries) {
+  log.debug('Starting device-agnostic email extraction with retry logic', { maxRetries });
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`🔄 Attempt ${attempt}/${maxRetries}: Querying recent verification events...`);
+      log.debug('Querying verification event for this link', { attempt, maxRetries });
 
-      // Query recent verification events (last 15 minutes) - FIXED: Include 'id' field for deletion
+      // Query the verification event bound to this link (within the event TTL) - FIXED: Include 'id' field for deletion
       const { data: recentVerifications, error: verificationError } = await supabase
         .from('verification_events')
         .select('id, user_email, verified_at, metadata, event_type')
+        .eq('correlation_id', correlationId)
         .gt('expires_at', new Date().toISOString())
-        .gte('verified_at', new Date(Date.now() - 15 * 60 * 1000).toISOString())
+        .gte('verified_at', new Date(Date.now() - getConfig().verification.eventTtlMs).toISOString())
         .order('verified_at', { ascending: false })
-        .limit(3);
+        .limit(1);
 
-      console.log(`🐛 Debug - Attempt ${attempt} result:`, {
+      log.debug('Verification event query result', {
+        attempt,
         count: recentVerifications?.length || 0,
         error: verificationError?.message,
         hasResults: !!recentVerifications && recentVerifications.length > 0
       });
 
       if (verificationError) {
-        console.error(`❌ Attempt ${attempt} database error:`, verificationError);
+        log.error('❌ Verification event query failed', { attempt, error: verificationError });
         // Continue to next attempt
       } else if (recentVerifications && recentVerifications.length > 0) {
         const recentVerification = recentVerifications[0];
         const minutesAgo = (Date.now() - new Date(recentVerification.verified_at).getTime()) / (1000 * 60);
 
-        console.log('✅ Email extracted from verification event:', {
-          email: recentVerification.user_email,
+        log.info('✅ Email extracted from verification event', {
           verified_at: recentVerification.verified_at,
           minutes_ago: Math.round(minutesAgo * 10) / 10,
           event_type: recentVerification.event_type,
           attempt: attempt
         });
+        await observeHistogram('manito_verification_lookup_attempts', attempt, { outcome: 'found' });
 
         // SECURITY: Mark verification event as used (delete it to prevent reuse)
-        console.log(`🗑️ Attempting to delete verification event with ID: ${recentVerification.id}`);
+        log.debug('Deleting verification event', { id: recentVerification.id });
         try {
           const { error: deleteError, count } = await supabase
             .from('verification_events')
@@ -135,364 +230,187 @@ async function getEmailWithRetry(maxRetries = 6) {
             .eq('id', recentVerification.id);
 
           if (deleteError) {
-            console.error('❌ FAILED to invalidate verification event:', {
+            log.error('❌ FAILED to invalidate verification event', {
               error: deleteError,
-              id: recentVerification.id,
-              email: recentVerification.user_email
+              id: recentVerification.id
             });
           } else {
-            console.log('✅ SUCCESS: Verification event deleted - link can no longer be reused', {
+            log.info('✅ Verification event deleted - link can no longer be reused', {
               id: recentVerification.id,
-              email: recentVerification.user_email,
               deleted_count: count
             });
           }
         } catch (error) {
-          console.error('❌ EXCEPTION during verification event deletion:', {
-            error: error.message,
-            id: recentVerification.id,
-            email: recentVerification.user_email
+          log.error('❌ EXCEPTION during verification event deletion', {
+            error,
+            id: recentVerification.id
           });
         }
 
-        return recentVerification.user_email;
+        return {
+          email: recentVerification.user_email,
+          eventType: recentVerification.event_type,
+          verifiedAt: recentVerification.verified_at,
+          locale: recentVerification.metadata?.locale || null
+        };
       }
 
       // No results yet - wait before retry (exponential backoff)
       if (attempt < maxRetries) {
         const delayMs = Math.min(1000 * Math.pow(1.5, attempt - 1), 5000); // 1s, 1.5s, 2.25s, 3.375s, 5s, 5s
-        console.log(`⏳ No results yet, waiting ${delayMs}ms before attempt ${attempt + 1}...`);
+        log.debug('No verification event yet, waiting before retrying', { attempt, delayMs });
         await new Promise(resolve => setTimeout(resolve, delayMs));
       }
 
     } catch (error) {
-      console.error(`❌ Attempt ${attempt} failed:`, error.message);
+      log.error('❌ Verification event lookup attempt failed', { attempt, error });
       if (attempt === maxRetries) {
         throw error;
       }
     }
   }
 
-  console.log('⚠️ All retry attempts exhausted - no recent verification events found');
+  log.warn('⚠️ All retry attempts exhausted - no verification event found for this link', { maxRetries });
+  await observeHistogram('manito_verification_lookup_attempts', maxRetries, { outcome: 'exhausted' });
   return null;
 }
 
 /**
- * Generate the main success page HTML
+ * Session code for the session of a recovery or magic link, bound to the code_challenge
+ * the app put in the link. Resolves the code.
  */
-function generateSuccessPage(extractedEmail) {
-  return `
-    <!DOCTYPE html>
-    <html lang="es">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Email Verificado - Manito</title>
-        <link rel="preconnect" href="https://fonts.googleapis.com">
-        <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
-        <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body {
-                font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                min-height: 100vh; display: flex; align-items: center; justify-content: center;
-                padding: 20px; color: #333;
-            }
-            .container {
-                background: white; border-radius: 24px; padding: 48px 32px; max-width: 480px; width: 100%;
-                text-align: center; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.1); position: relative; overflow: hidden;
-            }
-            .container::before {
-                content: ''; position: absolute; top: 0; left: 0; right: 0; height: 6px;
-                background: linear-gradient(90deg, #059669, #10b981, #34d399);
-            }
-            .success-icon {
-                width: 80px; height: 80px; background: #10b981; border-radius: 50%;
-                display: flex; align-items: center; justify-content: center; margin: 0 auto 24px;
-                position: relative; animation: pulse 2s infinite;
-            }
-            .success-icon::after { content: '✓'; color: white; font-size: 36px; font-weight: 700; }
-            @keyframes pulse { 0%, 100% { transform: scale(1); } 50% { transform: scale(1.05); } }
-            .title { font-size: 28px; font-weight: 700; color: #1f2937; margin-bottom: 12px; line-height: 1.3; }
-            .subtitle { font-size: 18px; color: #6b7280; margin-bottom: 32px; line-height: 1.5; }
-            .instructions {
-                background: #f8fafc; border: 2px solid #e2e8f0; border-radius: 16px; padding: 24px; margin-bottom: 32px;
-            }
-            .instructions h3 {
-                font-size: 16px; font-weight: 600; color: #374151; margin-bottom: 12px;
-                display: flex; align-items: center; justify-content: center; gap: 8px;
-            }
-            .instructions p { font-size: 15px; color: #6b7280; line-height: 1.6; }
-            .action-buttons { display: flex; flex-direction: column; gap: 16px; margin-bottom: 24px; }
-            .btn {
-                padding: 16px 24px; border-radius: 12px; font-size: 16px; font-weight: 600;
-                text-decoration: none; border: none; cursor: pointer; transition: all 0.2s ease;
-                display: inline-flex; align-items: center; justify-content: center; gap: 8px;
-            }
-            .btn-primary { background: #059669; color: white; }
-            .btn-primary:hover { background: #047857; transform: translateY(-1px); }
-            .btn-secondary { background: white; color: #374151; border: 2px solid #e5e7eb; }
-            .btn-secondary:hover { background: #f9fafb; border-color: #d1d5db; }
-            .security-note {
-                background: #fef3c7; border: 1px solid #f59e0b; border-radius: 12px; padding: 16px; margin-top: 24px;
-            }
-            .security-note p {
-                font-size: 14px; color: #92400e; margin: 0;
-                display: flex; align-items: center; gap: 8px;
-            }
-            .footer {
-                font-size: 13px; color: #9ca3af; line-height: 1.5; margin-top: 24px;
-            }
-            .footer a { color: #059669; text-decoration: none; }
-            .footer a:hover { text-decoration: underline; }
-            @media (max-width: 480px) {
-                .container { padding: 32px 24px; margin: 16px; }
-                .title { font-size: 24px; } .subtitle { font-size: 16px; }
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="success-icon"></div>
-            <h1 class="title">¡Email Verificado!</h1>
-            <p class="subtitle">Tu cuenta de Manito ha sido verificada exitosamente</p>
-            <div class="instructions">
-                <h3>📱 Siguiente paso</h3>
-                <p>Vuelve a la app de Manito e inicia sesión con tu email y contraseña para comenzar a usar tu cuenta verificada.</p>
-            </div>
-            <div class="action-buttons">
-                <a href="#" id="openAppBtn" class="btn btn-primary">📱 Abrir App Manito</a>
-                <button onclick="window.close()" class="btn btn-secondary">✕ Cerrar esta ventana</button>
-            </div>
-            <div class="security-note">
-                <p>🔒 Por seguridad, ahora debes iniciar sesión en la app con tu contraseña.</p>
-            </div>
-            <div class="footer">
-                ¿Problemas? Contacta nuestro soporte en <a href="mailto:soporte@manito.cl">soporte@manito.cl</a><br>
-                <strong>Manito</strong> - Servicios para el hogar confiables en Chile
-            </div>
-        </div>
-
-        <script>
-            // IMPROVED: Device-agnostic email extraction with fallback
-            async function extractUserEmail() {
-                // Server-side extracted email (passed via template)
-                const serverEmail = '${extractedEmail || ''}';
-                if (serverEmail && serverEmail !== 'null' && serverEmail !== 'undefined') {
-                    console.log('✅ Using server-extracted email:', serverEmail);
-                    return serverEmail;
-                }
-
-                // FALLBACK: Try API call for device-agnostic extraction
-                try {
-                    console.log('🔍 Attempting device-agnostic email extraction...');
-                    const response = await fetch('/api/get-recent-verification', {
-                        method: 'GET',
-                        headers: { 'Content-Type': 'application/json' }
-                    });
-
-                    if (response.ok) {
-                        const data = await response.json();
-                        if (data.email) {
-                            console.log('✅ Email extracted from API:', {
-                                email: data.email,
-                                minutes_ago: data.minutes_ago,
-                                event_type: data.event_type
-                            });
-                            return data.email;
-                        }
-                    } else {
-                        const errorData = await response.json().catch(() => ({}));
-                        console.log('⚠️ Recent verification API failed:', {
-                            status: response.status,
-                            error: errorData.message || 'Unknown error'
-                        });
-                    }
-                } catch (e) {
-                    console.log('⚠️ Could not extract email from verification events:', e.message);
-                }
-
-                console.log('❌ Could not extract email from any source');
-                return null;
-            }
-
-            // IMPROVED: Generate deep link with email pre-population
-            async function generateDeepLink() {
-                const userEmail = await extractUserEmail();
-                console.log('🔗 Generating deep link with email:', userEmail);
-
-                // Security: Create verification payload without exposing sensitive data
-                const verificationPayload = {
-                    verified: 'true',
-                    timestamp: Date.now(),
-                    session_hint: 'verified_' + Date.now().toString(36)
-                };
-
-                if (userEmail) {
-                    verificationPayload.email = userEmail;
-                }
-
-                const deepLinkParams = new URLSearchParams(verificationPayload);
-                return \`manito://auth/login?\${deepLinkParams.toString()}\`;
-            }
-
-            // Set up the app button
-            document.getElementById('openAppBtn').addEventListener('click', async (e) => {
-                e.preventDefault();
-                try {
-                    const deepLink = await generateDeepLink();
-                    console.log('🚀 Opening deep link:', deepLink);
-                    window.location.href = deepLink;
-
-                    // Fallback: Show instructions if app doesn't open
-                    setTimeout(() => {
-                        alert('¿No se abrió la app? Búscala en tu teléfono y abre Manito manualmente.');
-                    }, 2000);
-                } catch (error) {
-                    console.error('❌ Error generating deep link:', error);
-                    window.location.href = 'manito://auth/login?verified=true&method=error_fallback';
-                }
-            });
+async function createLinkSessionCode({ session, codeChallenge, user }, type) {
+  const { sessionCode } = await createSessionCode({
+    tokens: {
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in,
+      token_type: session.token_type,
+      type
+    },
+    codeChallenge,
+    userId: user.id
+  });
+
+  log.info('🔐 Created session code for link session', { userId: user.id });
+  return sessionCode;
+}
 
-            // Auto-close after 30 seconds if no interaction
-            let hasInteracted = false;
-            document.addEventListener('click', () => { hasInteracted = true; });
-            setTimeout(() => { if (!hasInteracted) window.close(); }, 30000);
+/**
+ * QR handoff to the phone for success pages opened on a desktop (lib/handoff.js).
+ * Resolves null on phones, or if the handoff can't be stored - the page works without it.
+ */
+async function createDesktopHandoff(req, email, flow, i18n) {
+  if (detectPlatform(req.headers['user-agent']) || /Mobi/i.test(req.headers['user-agent'] || '')) {
+    return null;
+  }
 
-            console.log('✅ IMPROVED verification success page loaded with retry logic');
-        </script>
-    </body>
-    </html>
-  `;
+  try {
+    const handoff = await createHandoff({
+      email,
+      flow: AUTH_FLOWS[flow] ? flow : 'signup',
+      locale: i18n.locale,
+      qrLabel: i18n.t('handoff.qrLabel')
+    });
+    await incrementCounter('manito_handoffs_created_total', { page: 'success' });
+    return handoff;
+  } catch (error) {
+    log.error('❌ Failed to create desktop handoff', { error });
+    return null;
+  }
+}
+
+/**
+ * Hint ID that lets the /app fallback carry the verification through an app install
+ * (lib/deferred-links.js). Resolves null if it can't be stored - the app link works without it.
+ */
+async function createAppLinkHint(email, flow, locale) {
+  try {
+    return await createDeferredHint({ email, flow, locale });
+  } catch (error) {
+    log.error('❌ Failed to store deferred link hint', { error });
+    return null;
+  }
+}
+
+/**
+ * Generate the main success page HTML for a link flow
+ */
+async function generateSuccessPage(extractedEmail, flow = 'signup', i18n = createTranslator(), verifiedAt = Date.now(), nonce, handoff = null, sessionCode = null) {
+  const { t } = i18n;
+  const pageKey = AUTH_FLOWS[flow] ? flow : 'signup';
+  const hintId = extractedEmail ? await createAppLinkHint(extractedEmail, pageKey, i18n.locale) : null;
+  const deferredParams = hintId ? { deferred: hintId } : {};
+  const sessionParams = sessionCode ? { session_code: sessionCode } : {};
+
+  return renderPage('success', {
+    t,
+    nonce,
+    locale: i18n.locale,
+    variant: 'success',
+    title: t(`flows.${pageKey}.title`),
+    page: {
+      title: t(`flows.${pageKey}.title`),
+      subtitle: t(`flows.${pageKey}.subtitle`),
+      nextStep: t(`flows.${pageKey}.nextStep`),
+      securityNote: t(`flows.${pageKey}.securityNote`)
+    },
+    verifiedOn: t('common.verifiedOn', { date: i18n.formatDate(verifiedAt) }),
+    // Server-built SVG (lib/qr.js), empty on phones
+    handoffQr: handoff ? handoff.qrSvg : '',
+    // Read by the page script - serialized as a JSON literal, never spliced into code
+    client: {
+      email: extractedEmail || null,
+      flow: pageKey,
+      locale: i18n.locale,
+      appLink: appLink(AUTH_FLOWS[pageKey].deepLinkPath, { ...sessionParams, ...deferredParams }),
+      handoff: handoff && {
+        id: handoff.id,
+        expiresAt: handoff.expiresAt,
+        claimed: t('handoff.claimed'),
+        expired: t('handoff.expired')
+      }
+    }
+  });
+}
+
+/**
+ * Generate the confirm step that POSTs the link back to /verified when the user taps it
+ */
+function generateConfirmPage(i18n = createTranslator(), nonce) {
+  return renderPage('confirm', {
+    t: i18n.t,
+    nonce,
+    locale: i18n.locale,
+    variant: 'confirm',
+    title: i18n.t('confirm.title')
+  });
 }
 
 /**
  * Generate error page for expired/used verification links
  */
-function generateExpiredLinkPage() {
-  return `
-    <!DOCTYPE html>
-    <html lang="es">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Enlace Expirado - Manito</title>
-        <link rel="preconnect" href="https://fonts.googleapis.com">
-        <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
-        <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body {
-                font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
-                min-height: 100vh; display: flex; align-items: center; justify-content: center;
-                padding: 20px; color: #333;
-            }
-            .container {
-                background: white; border-radius: 24px; padding: 48px 32px; max-width: 480px; width: 100%;
-                text-align: center; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.1); position: relative; overflow: hidden;
-            }
-            .container::before {
-                content: ''; position: absolute; top: 0; left: 0; right: 0; height: 6px;
-                background: linear-gradient(90deg, #ef4444, #dc2626, #b91c1c);
-            }
-            .error-icon {
-                width: 80px; height: 80px; background: #ef4444; border-radius: 50%;
-                display: flex; align-items: center; justify-content: center; margin: 0 auto 24px;
-                position: relative; animation: pulse 2s infinite;
-            }
-            .error-icon::after { content: '⚠'; color: white; font-size: 36px; font-weight: 700; }
-            @keyframes pulse { 0%, 100% { transform: scale(1); } 50% { transform: scale(1.05); } }
-            .title { font-size: 28px; font-weight: 700; color: #1f2937; margin-bottom: 12px; line-height: 1.3; }
-            .subtitle { font-size: 18px; color: #6b7280; margin-bottom: 32px; line-height: 1.5; }
-            .instructions {
-                background: #fef2f2; border: 2px solid #fecaca; border-radius: 16px; padding: 24px; margin-bottom: 32px;
-            }
-            .instructions h3 {
-                font-size: 16px; font-weight: 600; color: #374151; margin-bottom: 12px;
-                display: flex; align-items: center; justify-content: center; gap: 8px;
-            }
-            .instructions p { font-size: 15px; color: #6b7280; line-height: 1.6; margin-bottom: 12px; }
-            .action-buttons { display: flex; flex-direction: column; gap: 16px; margin-bottom: 24px; }
-            .btn {
-                padding: 16px 24px; border-radius: 12px; font-size: 16px; font-weight: 600;
-                text-decoration: none; border: none; cursor: pointer; transition: all 0.2s ease;
-                display: inline-flex; align-items: center; justify-content: center; gap: 8px;
-            }
-            .btn-primary { background: #059669; color: white; }
-            .btn-primary:hover { background: #047857; transform: translateY(-1px); }
-            .btn-secondary { background: white; color: #374151; border: 2px solid #e5e7eb; }
-            .btn-secondary:hover { background: #f9fafb; border-color: #d1d5db; }
-            .footer {
-                font-size: 13px; color: #9ca3af; line-height: 1.5; margin-top: 24px;
-            }
-            .footer a { color: #059669; text-decoration: none; }
-            .footer a:hover { text-decoration: underline; }
-            @media (max-width: 480px) {
-                .container { padding: 32px 24px; margin: 16px; }
-                .title { font-size: 24px; } .subtitle { font-size: 16px; }
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="error-icon"></div>
-            <h1 class="title">Enlace Expirado</h1>
-            <p class="subtitle">Este enlace de verificación ya no es válido</p>
-            <div class="instructions">
-                <h3>🔄 ¿Qué hacer ahora?</h3>
-                <p>El enlace de verificación ha expirado o ya fue utilizado por seguridad.</p>
-                <p>Si necesitas verificar tu cuenta, inicia sesión en la app y solicita un nuevo enlace de verificación.</p>
-            </div>
-            <div class="action-buttons">
-                <a href="manito://auth/login" class="btn btn-primary">📱 Abrir App Manito</a>
-                <button onclick="window.close()" class="btn btn-secondary">✕ Cerrar esta ventana</button>
-            </div>
-            <div class="footer">
-                ¿Problemas? Contacta nuestro soporte en <a href="mailto:soporte@manito.cl">soporte@manito.cl</a><br>
-                <strong>Manito</strong> - Servicios para el hogar confiables en Chile
-            </div>
-        </div>
-
-        <script>
-            // Auto-close after 30 seconds if no interaction
-            let hasInteracted = false;
-            document.addEventListener('click', () => { hasInteracted = true; });
-            setTimeout(() => { if (!hasInteracted) window.close(); }, 30000);
-
-            console.log('⚠️ Verification link expired/used - showing error page');
-        </script>
-    </body>
-    </html>
-  `;
+function generateExpiredLinkPage(i18n = createTranslator(), nonce) {
+  return renderPage('expired', {
+    t: i18n.t,
+    nonce,
+    locale: i18n.locale,
+    variant: 'error',
+    title: i18n.t('expired.title'),
+    loginLink: appLink('auth/login', { locale: i18n.locale })
+  });
 }
 
 /**
  * Generate fallback page for errors
  */
-function generateFallbackPage() {
-  return `
-    <!DOCTYPE html>
-    <html lang="es">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Email Verificado - Manito</title>
-        <style>
-            body { font-family: sans-serif; text-align: center; padding: 50px; }
-            .container { max-width: 400px; margin: 0 auto; }
-            .success { font-size: 48px; color: #10b981; margin-bottom: 20px; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="success">✓</div>
-            <h1>¡Email Verificado!</h1>
-            <p>Tu cuenta ha sido verificada exitosamente.</p>
-            <a href="manito://auth/login">Abrir App Manito</a>
-        </div>
-    </body>
-    </html>
-  `;
-}
\ No newline at end of file
+function generateFallbackPage(i18n = createTranslator(), nonce) {
+  return renderPage('fallback', {
+    t: i18n.t,
+    nonce,
+    locale: i18n.locale,
+    variant: 'success',
+    title: i18n.t('fallback.title'),
+    loginLink: appLink('auth/login', { locale: i18n.locale })
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * App Association Files - served at /.well-known/* (see vercel.json rewrites)
+ *   apple-app-site-association - iOS Universal Links
+ *   assetlinks.json            - Android App Links
+ * Generated from lib/config.js by lib/app-links.js; 404 when the platform's app isn't configured.
+ * Both must be served as application/json over https without redirects.
+ */
+
+const { buildAppleAppSiteAssociation, buildAssetLinks } = require('../lib/app-links');
+const { withRateLimit } = require('../lib/rate-limit');
+const { withRequestContext } = require('../lib/logger');
+
+const DOCUMENTS = {
+  'apple-app-site-association': buildAppleAppSiteAssociation,
+  'assetlinks.json': buildAssetLinks
+};
+
+module.exports = withRequestContext(withRateLimit('well-known', async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const build = Object.prototype.hasOwnProperty.call(DOCUMENTS, req.query?.file) ? DOCUMENTS[req.query.file] : null;
+  const document = build ? build() : null;
+
+  if (!document) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  // Apple's CDN and Google's verifier cache these themselves
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.setHeader('Content-Type', 'application/json');
+  res.status(200).send(JSON.stringify(document));
+}));
@@ -0,0 +1,187 @@
+/**
+ * Supabase Access Token Validation
+ * Verifies a Supabase access token (JWT) before we hand it to anyone:
+ *   - signature: HS256 with the project JWT secret (SUPABASE_JWT_SECRET), or
+ *     ES256 / RS256 with the project's signing keys (JWKS, looked up by `kid`)
+ *   - claims: iss (<SUPABASE_URL>/auth/v1), aud (authenticated), exp, sub
+ *   - the user exists and has confirmed their email (admin API)
+ *
+ * Throws AccessTokenError (with a short, non-sensitive reason) when any check fails.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getSupabaseAdmin } = require('./supabase');
+
+const EXPECTED_AUDIENCE = 'authenticated';
+const CLOCK_SKEW_SECONDS = 30;
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+// Tokens naming a key we don't have refetch the JWKS at most this often, so junk `kid`s
+// can't make every request an outbound fetch
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  RS256: { type: 'rsa', hash: 'sha256' },
+  ES256: { type: 'ec', hash: 'sha256' }
+};
+
+class AccessTokenError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'AccessTokenError';
+  }
+}
+
+let jwksCache = null;
+let lastJwksFetch = 0;
+
+/**
+ * A JWT header or claims segment - always a plain JSON object
+ */
+function decodeSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AccessTokenError('Malformed token');
+  }
+
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new AccessTokenError('Malformed token');
+  }
+  return value;
+}
+
+function authIssuer() {
+  return `${getConfig().supabase.url.replace(/\/+$/, '')}/auth/v1`;
+}
+
+/**
+ * The project's public signing keys, cached per instance.
+ * Refetched when a token names a key we haven't seen (key rotation), at most once per
+ * JWKS_MIN_REFETCH_MS.
+ */
+async function getSigningKey(kid) {
+  if (typeof kid !== 'string' || !kid) {
+    throw new AccessTokenError('Unknown signing key');
+  }
+
+  const now = Date.now();
+  const fresh = jwksCache && jwksCache.fetchedAt > now - JWKS_CACHE_MS;
+  const known = fresh && jwksCache.keys.some((key) => key.kid === kid);
+  if (!known && lastJwksFetch <= now - JWKS_MIN_REFETCH_MS) {
+    // Counted before the request so failing fetches are throttled too
+    lastJwksFetch = now;
+    const response = await fetch(`${authIssuer()}/.well-known/jwks.json`);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with HTTP ${response.status}`);
+    }
+    const { keys = [] } = await response.json();
+    jwksCache = { keys, fetchedAt: Date.now() };
+  }
+
+  if (!jwksCache) {
+    // A failed fetch moments ago - an outage, not a bad token
+    throw new Error('JWKS not available');
+  }
+
+  const jwk = jwksCache.keys.find((key) => key.kid === kid);
+  if (!jwk) {
+    throw new AccessTokenError('Unknown signing key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+async function verifySignature(header, signingInput, signature) {
+  const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : null;
+  if (!algorithm) {
+    throw new AccessTokenError('Unsupported token algorithm');
+  }
+
+  if (algorithm.type === 'hmac') {
+    const secret = getConfig().supabase.jwtSecret;
+    if (!secret) {
+      // A deployment problem, not a bad token
+      throw new Error('HS256 access tokens require SUPABASE_JWT_SECRET');
+    }
+    const expected = crypto.createHmac(algorithm.hash, secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const key = await getSigningKey(header.kid);
+  return crypto.verify(algorithm.hash, Buffer.from(signingInput), {
+    key,
+    // JWS ECDSA signatures are raw r||s, not DER
+    dsaEncoding: algorithm.type === 'ec' ? 'ieee-p1363' : undefined
+  }, signature);
+}
+
+function checkClaims(claims, now = Math.floor(Date.now() / 1000)) {
+  if (claims.iss !== authIssuer()) {
+    throw new AccessTokenError('Unexpected issuer');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(EXPECTED_AUDIENCE)) {
+    throw new AccessTokenError('Unexpected audience');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    throw new AccessTokenError('Token expired');
+  }
+
+  if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW_SECONDS) {
+    throw new AccessTokenError('Token not yet valid');
+  }
+
+  if (typeof claims.sub !== 'string' || !UUID_PATTERN.test(claims.sub)) {
+    throw new AccessTokenError('Missing or invalid subject');
+  }
+}
+
+/**
+ * Verify an access token. Resolves { userId, email, claims } or throws AccessTokenError.
+ */
+async function verifyAccessToken(token) {
+  if (typeof token !== 'string' || token.length > 8192) {
+    throw new AccessTokenError('Malformed token');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AccessTokenError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  const validSignature = await verifySignature(
+    header,
+    `${encodedHeader}.${encodedPayload}`,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!validSignature) {
+    throw new AccessTokenError('Invalid signature');
+  }
+
+  checkClaims(claims);
+
+  // The token is genuine - now make sure the account behind it is verified
+  const { data, error } = await getSupabaseAdmin().auth.admin.getUserById(claims.sub);
+  if (error || !data?.user) {
+    throw new AccessTokenError('User not found');
+  }
+  if (!data.user.email_confirmed_at) {
+    throw new AccessTokenError('Email not confirmed');
+  }
+
+  return { userId: claims.sub, email: data.user.email, claims };
+}
+
+module.exports = {
+  AccessTokenError,
+  verifyAccessToken
+};
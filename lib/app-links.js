@@ -0,0 +1,68 @@
+/**
+ * App Links - https links that open the mobile app
+ * iOS Universal Links and Android App Links replace the manito:// custom scheme: any app
+ * can register a scheme, but only our signed apps can claim our https paths. When the app
+ * isn't installed, the same link simply opens on the web (api/app-link.js).
+ *
+ * The association files the operating systems check are generated from lib/config.js
+ * and served by api/well-known.js:
+ *   /.well-known/apple-app-site-association - IOS_TEAM_ID, IOS_BUNDLE_IDS, APP_LINK_PATHS
+ *   /.well-known/assetlinks.json            - ANDROID_PACKAGE_NAMES, ANDROID_SHA256_CERT_FINGERPRINTS
+ */
+
+const { getConfig } = require('./config');
+
+/**
+ * https link to an app route, e.g. appLink('auth/login', { verified: 'true' })
+ */
+function appLink(route, params = {}) {
+  const url = new URL(`${getConfig().appLinkBaseUrl}/${route.replace(/^\/+/, '')}`);
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+}
+
+/**
+ * apple-app-site-association document, or null when no iOS app is configured
+ */
+function buildAppleAppSiteAssociation({ ios, paths } = getConfig().appLinks) {
+  if (!ios.teamId || ios.bundleIds.length === 0) {
+    return null;
+  }
+
+  return {
+    applinks: {
+      details: [
+        {
+          appIDs: ios.bundleIds.map((bundleId) => `${ios.teamId}.${bundleId}`),
+          components: paths.map((path) => ({ '/': path })),
+          // iOS 12 and earlier read `paths`
+          paths
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Digital Asset Links statement list, or null when no Android app is configured
+ */
+function buildAssetLinks({ android } = getConfig().appLinks) {
+  if (android.packageNames.length === 0) {
+    return null;
+  }
+
+  return android.packageNames.map((packageName) => ({
+    relation: ['delegate_permission/common.handle_all_urls'],
+    target: {
+      namespace: 'android_app',
+      package_name: packageName,
+      sha256_cert_fingerprints: android.sha256CertFingerprints
+    }
+  }));
+}
+
+module.exports = {
+  appLink,
+  buildAppleAppSiteAssociation,
+  buildAssetLinks
+};
@@ -0,0 +1,33 @@
+/**
+ * Adapter: Supabase auth webhook (alternative format)
+ * Payload: { type: 'auth.user.updated', user }
+ * No previous state is sent, so only signup confirmation can be detected: any
+ * confirmed user counts as verified - the ledger and idempotent handlers absorb
+ * the repeats.
+ */
+
+const { AUTH_FLOWS } = require('../../auth-flows');
+
+module.exports = {
+  name: 'auth_webhook',
+
+  matches(payload) {
+    return payload?.type === 'auth.user.updated' && !!payload?.user;
+  },
+
+  toAuthEvents(payload) {
+    const user = payload.user;
+
+    if (user.email_confirmed_at && user.email) {
+      return [{
+        kind: AUTH_FLOWS.signup.kind,
+        flow: 'signup',
+        user,
+        previousUser: null,
+        occurredAt: user.email_confirmed_at
+      }];
+    }
+
+    return [];
+  }
+};
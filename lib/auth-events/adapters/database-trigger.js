@@ -0,0 +1,60 @@
+/**
+ * Adapter: Supabase database webhook on auth.users
+ * Payload: { type: 'UPDATE', table: 'users', record, old_record }
+ *
+ * Link flows are detected from the before/after row:
+ *   signup       - email_confirmed_at set for the first time
+ *   invite       - same, for a user with invited_at set
+ *   email_change - pending email_change applied to email
+ *   recovery / magiclink - recovery_token consumed. Both flows use that token, so the
+ *                  correlation token's `flow` claim decides (default: recovery)
+ */
+
+const { AUTH_FLOWS } = require('../../auth-flows');
+const { correlationFromUser } = require('../../correlation-token');
+
+function authEvent(flow, user, previousUser, occurredAt) {
+  return {
+    kind: AUTH_FLOWS[flow].kind,
+    flow,
+    user,
+    previousUser,
+    occurredAt: occurredAt || user.updated_at || new Date().toISOString()
+  };
+}
+
+module.exports = {
+  name: 'database_trigger',
+
+  matches(payload) {
+    return payload?.type === 'UPDATE' && payload?.table === 'users';
+  },
+
+  toAuthEvents(payload) {
+    const user = payload.record;
+    const previousUser = payload.old_record;
+
+    if (!user?.email) {
+      return [];
+    }
+
+    // Email was just verified (email_confirmed_at changed from null to a value)
+    if (!previousUser?.email_confirmed_at && user.email_confirmed_at) {
+      const flow = user.invited_at ? 'invite' : 'signup';
+      return [authEvent(flow, user, previousUser, user.email_confirmed_at)];
+    }
+
+    // Email change confirmed: the pending address became the account email
+    if (previousUser?.email_change && !user.email_change && user.email !== previousUser.email) {
+      return [authEvent('email_change', user, previousUser)];
+    }
+
+    // Recovery or magic link used: the one-time recovery token was consumed
+    if (previousUser?.recovery_token && !user.recovery_token) {
+      const flow = correlationFromUser(user)?.flow === 'magiclink' ? 'magiclink' : 'recovery';
+      return [authEvent(flow, user, previousUser)];
+    }
+
+    return [];
+  }
+};
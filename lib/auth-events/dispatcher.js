@@ -0,0 +1,38 @@
+/**
+ * Auth event dispatcher
+ * Handlers subscribe to event kinds; dispatch runs every handler for an event's
+ * kind in subscription order and awaits each one.
+ */
+
+const { createLogger } = require('../logger');
+
+const log = createLogger('auth-events');
+
+function createDispatcher() {
+  const handlers = new Map();
+
+  return {
+    on(kind, handler) {
+      if (!handlers.has(kind)) {
+        handlers.set(kind, []);
+      }
+      handlers.get(kind).push(handler);
+      return this;
+    },
+
+    async dispatch(event, context) {
+      const subscribed = handlers.get(event.kind) || [];
+
+      if (subscribed.length === 0) {
+        log.info('ℹ️ No handlers for auth event kind', { kind: event.kind });
+      }
+
+      for (const handler of subscribed) {
+        await handler(event, context);
+      }
+      return subscribed.length;
+    }
+  };
+}
+
+module.exports = { createDispatcher };
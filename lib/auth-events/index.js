@@ -0,0 +1,13 @@
+/**
+ * Auth Events - normalized model for Supabase auth webhooks
+ * See normalize.js for the AuthEvent shape and dispatcher.js for subscriptions.
+ */
+
+const { ADAPTERS, normalizeAuthEvents } = require('./normalize');
+const { createDispatcher } = require('./dispatcher');
+
+module.exports = {
+  ADAPTERS,
+  normalizeAuthEvents,
+  createDispatcher
+};
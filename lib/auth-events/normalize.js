@@ -0,0 +1,44 @@
+/**
+ * Auth event normalization
+ * Turns any supported webhook payload shape into internal AuthEvents.
+ * Supporting a new Supabase payload format means adding an adapter here.
+ *
+ * AuthEvent:
+ *   kind         - what happened ('email_verified', 'password_recovery', ...)
+ *   flow         - Supabase link type (see lib/auth-flows.js)
+ *   occurredAt   - ISO timestamp of the verification
+ *   source       - name of the adapter that produced it
+ *   payloadType  - the raw payload's `type`
+ *   user         - the Supabase auth user as sent in the payload
+ *   previousUser - the user before the change, when the payload carries it
+ *   userId, email - shortcuts into `user`
+ */
+
+const databaseTrigger = require('./adapters/database-trigger');
+const authHook = require('./adapters/auth-hook');
+
+const ADAPTERS = [databaseTrigger, authHook];
+
+/**
+ * Normalize a webhook payload. Resolves an empty list for unsupported or
+ * uninteresting payloads.
+ */
+function normalizeAuthEvents(payload, adapters = ADAPTERS) {
+  const adapter = adapters.find((candidate) => candidate.matches(payload));
+  if (!adapter) {
+    return [];
+  }
+
+  return adapter.toAuthEvents(payload).map((event) => ({
+    ...event,
+    source: adapter.name,
+    payloadType: payload.type,
+    userId: event.user?.id,
+    email: event.user?.email
+  }));
+}
+
+module.exports = {
+  ADAPTERS,
+  normalizeAuthEvents
+};
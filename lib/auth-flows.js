@@ -0,0 +1,40 @@
+/**
+ * Supabase email link flows handled by this project
+ *
+ * Each flow has:
+ *   kind         - AuthEvent kind and `verification_events.event_type` value
+ *   deepLinkPath - app route opened from the landing page, as an app link
+ *                  (<APP_LINK_BASE_URL>/<path>, see lib/app-links.js)
+ *
+ * Flow keys match Supabase's email link `type` values.
+ */
+
+const AUTH_FLOWS = {
+  signup: { kind: 'email_verified', deepLinkPath: 'auth/login' },
+  invite: { kind: 'invite_accepted', deepLinkPath: 'auth/accept-invite' },
+  recovery: { kind: 'password_recovery', deepLinkPath: 'auth/reset-password' },
+  magiclink: { kind: 'magic_link_login', deepLinkPath: 'auth/magic-link' },
+  email_change: { kind: 'email_changed', deepLinkPath: 'auth/email-changed' }
+};
+
+// Event types written before flows were distinguished
+const LEGACY_EVENT_TYPES = {
+  email_verified_auth_webhook: 'signup'
+};
+
+/**
+ * Flow key for a verification event type (defaults to signup)
+ */
+function flowForEventType(eventType) {
+  if (LEGACY_EVENT_TYPES[eventType]) {
+    return LEGACY_EVENT_TYPES[eventType];
+  }
+
+  const match = Object.entries(AUTH_FLOWS).find(([, flow]) => flow.kind === eventType);
+  return match ? match[0] : 'signup';
+}
+
+module.exports = {
+  AUTH_FLOWS,
+  flowForEventType
+};
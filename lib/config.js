@@ -0,0 +1,403 @@
+/**
+ * Centralized Configuration
+ * The one place environment variables are read. Everything is validated once, at cold
+ * start, and exposed as typed, frozen settings. The browser's public/config.js is
+ * generated from the same source (scripts/generate-public-config.js), so server and
+ * browser can't drift apart.
+ *
+ * Environments: development | staging | production
+ * (APP_ENV, else derived from VERCEL_ENV: production -> production, preview -> staging)
+ */
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Per-environment defaults for values that differ between deployments
+const ENVIRONMENT_DEFAULTS = {
+  development: {
+    allowedOrigins: ['http://localhost:3000', 'https://auth.manito.cl'],
+    publicBaseUrl: 'http://localhost:3000',
+    // Under PUBLIC_BASE_URL - Universal Links aren't tested locally
+    appLinkBaseUrl: null,
+    logLevel: 'debug'
+  },
+  staging: {
+    allowedOrigins: ['https://staging.auth.manito.cl', 'https://staging.manito.cl'],
+    publicBaseUrl: 'https://staging.auth.manito.cl',
+    appLinkBaseUrl: 'https://staging.app.manito.cl/app',
+    logLevel: 'info'
+  },
+  production: {
+    allowedOrigins: ['https://auth.manito.cl', 'https://manito.cl', 'https://www.manito.cl'],
+    publicBaseUrl: 'https://auth.manito.cl',
+    appLinkBaseUrl: 'https://app.manito.cl/app',
+    logLevel: 'info'
+  }
+};
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Small typed reader that collects every problem instead of failing on the first
+ */
+function createReader(env, problems) {
+  const read = (name) => {
+    const value = env[name];
+    return value === undefined || value === '' ? undefined : String(value).trim();
+  };
+
+  return {
+    string(name, { required = false, fallback } = {}) {
+      const value = read(name);
+      if (value === undefined && required) {
+        problems.push(`${name} is required`);
+      }
+      return value ?? fallback;
+    },
+
+    url(name, { required = false, fallback } = {}) {
+      const value = this.string(name, { required, fallback });
+      if (value !== undefined) {
+        try {
+          new URL(value);
+        } catch (error) {
+          problems.push(`${name} must be a valid URL (got "${value}")`);
+        }
+      }
+      return value;
+    },
+
+    int(name, { fallback, min = 0 } = {}) {
+      const value = read(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < min) {
+        problems.push(`${name} must be an integer >= ${min} (got "${value}")`);
+        return fallback;
+      }
+      return parsed;
+    },
+
+    bool(name, { fallback = false } = {}) {
+      const value = read(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (value !== 'true' && value !== 'false') {
+        problems.push(`${name} must be "true" or "false" (got "${value}")`);
+        return fallback;
+      }
+      return value === 'true';
+    },
+
+    list(name, { fallback = [] } = {}) {
+      const value = read(name);
+      return value === undefined ? fallback : value.split(',').map((item) => item.trim()).filter(Boolean);
+    },
+
+    oneOf(name, allowed, { fallback } = {}) {
+      const value = read(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!allowed.includes(value)) {
+        problems.push(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+        return fallback;
+      }
+      return value;
+    },
+
+    json(name, { fallback = {} } = {}) {
+      const value = read(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        problems.push(`${name} must be valid JSON`);
+        return fallback;
+      }
+    }
+  };
+}
+
+function resolveEnvironment(env) {
+  if (env.APP_ENV) {
+    return env.APP_ENV;
+  }
+  if (env.VERCEL_ENV === 'production') {
+    return 'production';
+  }
+  if (env.VERCEL_ENV === 'preview') {
+    return 'staging';
+  }
+  return 'development';
+}
+
+function appLinkPath(baseUrl) {
+  try {
+    return new URL(baseUrl).pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * iOS keeps a tapped link in Safari when it points to the page's own domain, so the app
+ * link host has to differ from PUBLIC_BASE_URL wherever Universal Links are used
+ */
+function appLinkHostProblems({ environment, publicBaseUrl, appLinkBaseUrl }) {
+  try {
+    if (environment !== 'development' && new URL(appLinkBaseUrl).host === new URL(publicBaseUrl).host) {
+      return ['APP_LINK_BASE_URL must be on a different host than PUBLIC_BASE_URL (iOS does not open Universal Links tapped on the same domain)'];
+    }
+  } catch (error) {
+    // Invalid URLs are already reported by the reader
+  }
+  return [];
+}
+
+function appLinkProblems({ ios, android }) {
+  const problems = [];
+
+  if (ios.bundleIds.length > 0 && !/^[A-Z0-9]{10}$/.test(ios.teamId || '')) {
+    problems.push('IOS_TEAM_ID must be a 10 character Apple team ID when IOS_BUNDLE_IDS is set');
+  }
+  if (android.packageNames.length > 0 && android.sha256CertFingerprints.length === 0) {
+    problems.push('ANDROID_SHA256_CERT_FINGERPRINTS is required when ANDROID_PACKAGE_NAMES is set');
+  }
+  android.sha256CertFingerprints
+    .filter((fingerprint) => !/^([0-9A-F]{2}:){31}[0-9A-F]{2}$/.test(fingerprint))
+    .forEach((fingerprint) => {
+      problems.push(`ANDROID_SHA256_CERT_FINGERPRINTS entries must be colon-separated uppercase SHA-256 (got "${fingerprint}")`);
+    });
+
+  return problems;
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
+/**
+ * Settings the browser needs - validated on their own so the public config can be
+ * generated without server secrets
+ */
+function readPublicSettings(reader, environment) {
+  const defaults = ENVIRONMENT_DEFAULTS[environment] || ENVIRONMENT_DEFAULTS.development;
+  const publicBaseUrl = reader.url('PUBLIC_BASE_URL', { fallback: defaults.publicBaseUrl });
+
+  return {
+    environment,
+    isProduction: environment === 'production',
+    isDevelopment: environment === 'development',
+    supabase: {
+      url: reader.url('SUPABASE_URL', { required: true }),
+      anonKey: reader.string('SUPABASE_ANON_KEY', { required: true })
+    },
+    publicBaseUrl,
+    allowedOrigins: reader.list('ALLOWED_ORIGINS', { fallback: defaults.allowedOrigins }),
+    // Universal Links / App Links: https URLs under this base open the app when it's installed
+    appLinkBaseUrl: reader.url('APP_LINK_BASE_URL', {
+      fallback: defaults.appLinkBaseUrl || `${String(publicBaseUrl).replace(/\/+$/, '')}/app`
+    }).replace(/\/+$/, ''),
+    rateLimit: {
+      maxAttemptsPerMinute: reader.int('RATE_LIMIT_PER_MINUTE', { fallback: 5, min: 1 })
+    },
+    sessionTimeoutMinutes: reader.int('SESSION_TIMEOUT_MINUTES', { fallback: 30, min: 1 }),
+    features: {
+      secureSessionCode: true,
+      tokenValidation: true,
+      rateLimiting: reader.bool('FEATURE_RATE_LIMITING', { fallback: true }),
+      csrfProtection: reader.bool('FEATURE_CSRF_PROTECTION', { fallback: true })
+    }
+  };
+}
+
+/**
+ * Load and validate the full server configuration. Throws ConfigError listing every problem.
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const reader = createReader(env, problems);
+  const environment = reader.oneOf('APP_ENV', Object.keys(ENVIRONMENT_DEFAULTS), {
+    fallback: resolveEnvironment(env)
+  });
+  const publicSettings = readPublicSettings(reader, environment);
+
+  const defaults = ENVIRONMENT_DEFAULTS[environment] || ENVIRONMENT_DEFAULTS.development;
+  const redisUrl = reader.url('REDIS_URL');
+  const allowUnsignedWebhooks = reader.bool('WEBHOOK_ALLOW_UNSIGNED') && environment !== 'production';
+  const androidPackageNames = reader.list('ANDROID_PACKAGE_NAMES');
+
+  const config = {
+    ...publicSettings,
+    supabase: {
+      ...publicSettings.supabase,
+      serviceRoleKey: reader.string('SUPABASE_SERVICE_ROLE_KEY', { required: true }),
+      // Only needed for projects still signing access tokens with HS256 (others use JWKS)
+      jwtSecret: reader.string('SUPABASE_JWT_SECRET')
+    },
+    redisUrl,
+    secrets: {
+      verificationToken: reader.string('VERIFICATION_TOKEN_SECRET', { required: true }),
+      sessionEncryption: reader.string('SESSION_ENCRYPTION_SECRET', { required: true }),
+      csrf: reader.string('CSRF_SECRET', { required: true }),
+      cron: reader.string('CRON_SECRET'),
+      metrics: reader.string('METRICS_TOKEN')
+    },
+    webhook: {
+      // DEV ONLY: accept unsigned webhooks - never honored in production
+      allowUnsigned: allowUnsignedWebhooks,
+      secret: reader.string('SUPABASE_WEBHOOK_SECRET', { required: !allowUnsignedWebhooks }),
+      toleranceSeconds: reader.int('WEBHOOK_TOLERANCE_SECONDS', { fallback: 300, min: 1 })
+    },
+    sessionCodes: {
+      ttlMs: reader.int('SESSION_CODE_TTL_SECONDS', { fallback: 5 * 60, min: 30 }) * 1000,
+      store: reader.oneOf('SESSION_STORE', ['redis', 'supabase', 'memory'], {
+        fallback: redisUrl ? 'redis' : 'supabase'
+      })
+    },
+    verification: {
+      eventTtlMs: reader.int('VERIFICATION_EVENT_TTL_MINUTES', { fallback: 15, min: 1 }) * 60 * 1000,
+      maxRetries: reader.int('VERIFICATION_MAX_RETRIES', { fallback: 6, min: 1 })
+    },
+    csp: {
+      // Staged rollout: report violations without blocking anything
+      reportOnly: reader.bool('CSP_REPORT_ONLY'),
+      reportPath: '/api/csp-report'
+    },
+    rateLimit: {
+      ...publicSettings.rateLimit,
+      store: reader.oneOf('RATE_LIMIT_STORE', ['redis', 'memory'], {
+        fallback: redisUrl ? 'redis' : 'memory'
+      }),
+      overrides: reader.json('RATE_LIMITS')
+    },
+    logging: {
+      level: reader.oneOf('LOG_LEVEL', LOG_LEVELS, { fallback: defaults.logLevel })
+    },
+    metrics: {
+      store: reader.oneOf('METRICS_STORE', ['redis', 'memory'], {
+        fallback: redisUrl ? 'redis' : 'memory'
+      })
+    },
+    appLinks: {
+      ios: {
+        teamId: reader.string('IOS_TEAM_ID'),
+        bundleIds: reader.list('IOS_BUNDLE_IDS')
+      },
+      android: {
+        packageNames: androidPackageNames,
+        sha256CertFingerprints: reader.list('ANDROID_SHA256_CERT_FINGERPRINTS')
+      },
+      // Paths the apps claim; everything under the app link base by default
+      paths: reader.list('APP_LINK_PATHS', { fallback: [`${appLinkPath(publicSettings.appLinkBaseUrl)}/*`] })
+    },
+    handoff: {
+      // Desktop-to-phone QR codes (lib/handoff.js): long enough to find the phone, no longer
+      ttlMs: reader.int('HANDOFF_TTL_SECONDS', { fallback: 10 * 60, min: 60 }) * 1000
+    },
+    deferredLinks: {
+      // How long an install has to finish before the deferred payload is dropped
+      ttlMs: reader.int('DEFERRED_LINK_TTL_MINUTES', { fallback: 30, min: 1 }) * 60 * 1000,
+      appStoreUrl: reader.url('IOS_APP_STORE_URL'),
+      playStoreUrl: reader.url('ANDROID_PLAY_STORE_URL', {
+        fallback: androidPackageNames[0] && `https://play.google.com/store/apps/details?id=${androidPackageNames[0]}`
+      })
+    }
+  };
+
+  problems.push(...appLinkHostProblems(publicSettings));
+  problems.push(...appLinkProblems(config.appLinks));
+
+  const redisStores = [config.sessionCodes.store, config.rateLimit.store, config.metrics.store];
+  if (redisStores.includes('redis') && !redisUrl) {
+    problems.push('REDIS_URL is required when a redis store is selected');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return deepFreeze(config);
+}
+
+/**
+ * Load and validate only the browser-safe settings
+ */
+function loadPublicConfig(env = process.env) {
+  const problems = [];
+  const reader = createReader(env, problems);
+  const environment = reader.oneOf('APP_ENV', Object.keys(ENVIRONMENT_DEFAULTS), {
+    fallback: resolveEnvironment(env)
+  });
+  const publicSettings = readPublicSettings(reader, environment);
+  problems.push(...appLinkHostProblems(publicSettings));
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return deepFreeze(publicSettings);
+}
+
+/**
+ * The window.MANITO_CONFIG object served to browsers
+ */
+function toBrowserConfig(settings) {
+  return {
+    supabaseUrl: settings.supabase.url,
+    supabaseKey: settings.supabase.anonKey,
+
+    // Environment detection
+    environment: settings.environment,
+    isProduction: settings.isProduction,
+    isDevelopment: settings.isDevelopment,
+
+    // Security settings
+    allowedOrigins: settings.allowedOrigins,
+
+    // App links (Universal Links / App Links)
+    appLinkBaseUrl: settings.appLinkBaseUrl,
+
+    // Rate limiting
+    maxAttemptsPerMinute: settings.rateLimit.maxAttemptsPerMinute,
+    sessionTimeoutMinutes: settings.sessionTimeoutMinutes,
+
+    // Feature flags
+    features: settings.features
+  };
+}
+
+let config = null;
+
+/**
+ * Process-wide configuration (validated on first use, i.e. at cold start)
+ */
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  ConfigError,
+  loadConfig,
+  loadPublicConfig,
+  toBrowserConfig,
+  getConfig
+};
@@ -0,0 +1,147 @@
+/**
+ * Verification Correlation Tokens
+ * Opaque, signed tokens that bind a verification link to exactly one user.
+ *
+ * Flow:
+ * 1. The enterprise-signup edge function mints a token, stores it in the user's
+ *    metadata (`verification_correlation_token`) and appends it to the
+ *    emailRedirectTo URL as `?correlation=<token>`.
+ * 2. auth-webhook.js verifies the token found in the metadata and records its ID
+ *    on the verification event (`verification_events.correlation_id`).
+ * 3. verified.js verifies the token from the query string and resolves only the
+ *    event carrying that ID - never "the most recent verification".
+ *
+ * Format: `v1.<base64url(JSON payload)>.<base64url(HMAC-SHA256)>`
+ * Payload: { cid: random ID, exp: expiry (ms since epoch), flow?: link type }
+ *
+ * `flow` is the Supabase link type the token was minted for (see lib/auth-flows.js).
+ * It lets the webhook tell recovery and magic link verifications apart, which look
+ * identical in auth.users. The token is re-minted each time a link is sent.
+ *
+ * Signup handles: the signup flow also returns a handle for the same correlation ID to
+ * the app (`s1.<base64url({ cid, exp })>.<signature>`), which the app polls
+ * api/signup-status.js with. Handles and link tokens are signed under different
+ * prefixes, so one can't stand in for the other.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const TOKEN_VERSION = 'v1';
+const HANDLE_VERSION = 's1';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // Matches Supabase's maximum email link lifetime
+
+function getSecret() {
+  return getConfig().secrets.verificationToken;
+}
+
+function sign(encodedPayload, secret, version = TOKEN_VERSION) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${version}.${encodedPayload}`)
+    .digest('base64url');
+}
+
+/**
+ * Payload of a `<version>.<payload>.<signature>` string, or null if it's malformed or forged
+ */
+function openSigned(value, version) {
+  if (typeof value !== 'string' || value.length > 512) {
+    return null;
+  }
+
+  const parts = value.split('.');
+  if (parts.length !== 3 || parts[0] !== version) {
+    return null;
+  }
+
+  const [, encodedPayload, signature] = parts;
+  const expected = Buffer.from(sign(encodedPayload, getSecret(), version));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || typeof payload.cid !== 'string' || typeof payload.exp !== 'number') {
+    return null;
+  }
+  return payload;
+}
+
+/**
+ * Mint a new correlation token (used by the signup flow and local testing)
+ */
+function mintCorrelationToken({ flow, ttlMs = DEFAULT_TTL_MS } = {}) {
+  const payload = {
+    cid: crypto.randomBytes(16).toString('hex'),
+    exp: Date.now() + ttlMs
+  };
+  if (flow) {
+    payload.flow = flow;
+  }
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    token: `${TOKEN_VERSION}.${encodedPayload}.${sign(encodedPayload, getSecret())}`,
+    signupHandle: mintSignupHandle({ correlationId: payload.cid, expiresAt: payload.exp }),
+    correlationId: payload.cid,
+    expiresAt: payload.exp
+  };
+}
+
+/**
+ * Handle the app uses to follow a signup's verification status
+ */
+function mintSignupHandle({ correlationId, expiresAt }) {
+  const encodedPayload = Buffer.from(JSON.stringify({ cid: correlationId, exp: expiresAt })).toString('base64url');
+  return `${HANDLE_VERSION}.${encodedPayload}.${sign(encodedPayload, getSecret(), HANDLE_VERSION)}`;
+}
+
+/**
+ * Verify a signup handle and return its payload ({ cid, exp }), or null if it is malformed
+ * or forged. Expired handles are still returned - their status is 'expired'.
+ */
+function verifySignupHandle(handle) {
+  return openSigned(handle, HANDLE_VERSION);
+}
+
+/**
+ * Verify a correlation token and return its payload, or null if it is
+ * malformed, forged or expired. Never throws on bad input.
+ */
+function verifyCorrelationToken(token) {
+  const payload = openSigned(token, TOKEN_VERSION);
+
+  if (!payload || payload.exp < Date.now()) {
+    return null;
+  }
+
+  return payload;
+}
+
+/**
+ * Read and verify the correlation token stored in a Supabase user's metadata.
+ * Returns its payload ({ cid, exp, flow }) or null.
+ */
+function correlationFromUser(user) {
+  const token = user?.user_metadata?.verification_correlation_token ||
+    user?.raw_user_meta_data?.verification_correlation_token;
+
+  return verifyCorrelationToken(token);
+}
+
+module.exports = {
+  mintCorrelationToken,
+  verifyCorrelationToken,
+  mintSignupHandle,
+  verifySignupHandle,
+  correlationFromUser
+};
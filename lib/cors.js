@@ -0,0 +1,46 @@
+/**
+ * CORS for browser-facing API routes
+ * Only origins in the configured allowlist (ALLOWED_ORIGINS, see lib/config.js) are ever reflected;
+ * there is no wildcard.
+ */
+
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cors');
+
+function isAllowedOrigin(origin) {
+  return getConfig().allowedOrigins.includes(origin);
+}
+
+/**
+ * Set CORS headers for the request's origin.
+ * Resolves false (after sending 403) when a cross-origin caller isn't allowed.
+ * Requests without an Origin header (same-origin GETs, native apps) pass through.
+ */
+function applyCors(req, res, { methods = 'GET, OPTIONS', headers = 'Content-Type' } = {}) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+
+  if (!origin) {
+    return true;
+  }
+
+  if (!isAllowedOrigin(origin)) {
+    log.warn('🚫 CORS: Rejected request from origin', { origin });
+    res.status(403).json({ error: 'Origin not allowed' });
+    return false;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', headers);
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+  res.setHeader('Access-Control-Max-Age', '600');
+  return true;
+}
+
+module.exports = {
+  isAllowedOrigin,
+  applyCors
+};
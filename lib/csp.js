@@ -0,0 +1,72 @@
+/**
+ * Content-Security-Policy for served pages
+ * Strict, nonce-based policy: every <script> and <style> carries the per-response nonce,
+ * and 'strict-dynamic' lets those scripts load what they need without host allowlists.
+ *
+ * Violations are reported to api/csp-report.js (report-uri for older browsers,
+ * report-to / Reporting-Endpoints for current ones).
+ * CSP_REPORT_ONLY=true sends Content-Security-Policy-Report-Only instead, for staged rollout.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const REPORT_GROUP = 'csp-endpoint';
+
+function createNonce() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * The policy string for one response
+ */
+function buildContentSecurityPolicy(nonce, { reportUri } = {}) {
+  const directives = [
+    "default-src 'self'",
+    // 'unsafe-inline' and https: are ignored by browsers that understand nonces/strict-dynamic;
+    // they only keep very old browsers working
+    `script-src 'nonce-${nonce}' 'strict-dynamic' 'unsafe-inline' https:`,
+    `style-src 'self' 'nonce-${nonce}' https://fonts.googleapis.com`,
+    "font-src 'self' https://fonts.gstatic.com",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ];
+
+  if (reportUri) {
+    directives.push(`report-uri ${reportUri}`, `report-to ${REPORT_GROUP}`);
+  }
+  return directives.join('; ');
+}
+
+/**
+ * Set the CSP (and reporting) headers on a page response.
+ * Returns the nonce to put on the page's <script> and <style> tags.
+ */
+function applyContentSecurityPolicy(res) {
+  const { csp, publicBaseUrl } = getConfig();
+  const nonce = createNonce();
+  const reportUri = new URL(csp.reportPath, publicBaseUrl).toString();
+
+  res.setHeader('Reporting-Endpoints', `${REPORT_GROUP}="${reportUri}"`);
+  res.setHeader('Report-To', JSON.stringify({
+    group: REPORT_GROUP,
+    max_age: 10886400,
+    endpoints: [{ url: reportUri }]
+  }));
+  res.setHeader(
+    csp.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy',
+    buildContentSecurityPolicy(nonce, { reportUri })
+  );
+
+  return nonce;
+}
+
+module.exports = {
+  createNonce,
+  buildContentSecurityPolicy,
+  applyContentSecurityPolicy
+};
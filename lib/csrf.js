@@ -0,0 +1,124 @@
+/**
+ * CSRF and Origin Protection for state-changing endpoints
+ *
+ * 1. Origin checks: `Sec-Fetch-Site: cross-site` is rejected, and a present `Origin`
+ *    must be this deployment (PUBLIC_BASE_URL) or one of ALLOWED_ORIGINS.
+ *    Native apps send neither header and pass this check.
+ * 2. Signed double-submit token: the callback page (api/callback.js) sets a random
+ *    HttpOnly cookie and embeds `<exp>.<HMAC(cookie.exp)>` in the page; the page sends it
+ *    back in the X-CSRF-Token header. A foreign site can read neither.
+ *
+ * Usage: withCsrfProtection(handler) or withCsrfProtection(handler, { requireToken: false })
+ * Disabled entirely with FEATURE_CSRF_PROTECTION=false.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('csrf');
+
+const CSRF_COOKIE = 'manito_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+// The cookie is only ever needed by the endpoints that check it: create-secure-session and
+// create-handoff, both called from the callback page
+const CSRF_COOKIE_PATH = '/api';
+
+function sign(cookieValue, expiresAt) {
+  return crypto
+    .createHmac('sha256', getConfig().secrets.csrf)
+    .update(`${cookieValue}.${expiresAt}`)
+    .digest('base64url');
+}
+
+/**
+ * Issue a CSRF token for a page: sets the cookie half and returns the token half
+ */
+function issueCsrfToken(res) {
+  const cookieValue = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + CSRF_TOKEN_TTL_MS;
+
+  res.setHeader('Set-Cookie',
+    `${CSRF_COOKIE}=${cookieValue}; Path=${CSRF_COOKIE_PATH}; Max-Age=${CSRF_TOKEN_TTL_MS / 1000}; HttpOnly; Secure; SameSite=Strict`
+  );
+
+  return `${expiresAt}.${sign(cookieValue, expiresAt)}`;
+}
+
+/**
+ * True when the request's X-CSRF-Token matches its CSRF cookie and hasn't expired
+ */
+function verifyCsrfToken(req) {
+  const cookieValue = req.cookies?.[CSRF_COOKIE];
+  const token = req.headers[CSRF_HEADER];
+  if (typeof cookieValue !== 'string' || typeof token !== 'string') {
+    return false;
+  }
+
+  const [expiresAt, signature, ...rest] = token.split('.');
+  if (rest.length > 0 || !/^\d+$/.test(expiresAt || '') || Number(expiresAt) < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(cookieValue, expiresAt));
+  const received = Buffer.from(signature || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Why the request's origin isn't acceptable, or null when it is
+ */
+function checkRequestOrigin(req) {
+  if (req.headers['sec-fetch-site'] === 'cross-site') {
+    return 'Cross-site request';
+  }
+
+  const origin = req.headers.origin;
+  if (origin) {
+    const { allowedOrigins, publicBaseUrl } = getConfig();
+    if (origin !== new URL(publicBaseUrl).origin && !allowedOrigins.includes(origin)) {
+      return 'Origin not allowed';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Wrap a handler so foreign-site requests are rejected with 403 before it runs
+ */
+function withCsrfProtection(handler, { requireToken = true } = {}) {
+  return async function csrfProtectedHandler(req, res) {
+    if (!getConfig().features.csrfProtection || req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+      return handler(req, res);
+    }
+
+    const originProblem = checkRequestOrigin(req);
+    if (originProblem) {
+      log.warn('🚫 CSRF: Rejected request', {
+        reason: originProblem,
+        origin: req.headers.origin,
+        secFetchSite: req.headers['sec-fetch-site']
+      });
+      return res.status(403).json({ error: originProblem });
+    }
+
+    if (requireToken && !verifyCsrfToken(req)) {
+      log.warn('🚫 CSRF: Missing or invalid CSRF token');
+      return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+    }
+
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  issueCsrfToken,
+  verifyCsrfToken,
+  checkRequestOrigin,
+  withCsrfProtection
+};
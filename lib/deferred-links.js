@@ -0,0 +1,143 @@
+/**
+ * Deferred Deep Links
+ * Lets a user who verified on a phone without Manito installed pick up where they left
+ * off after installing the app from the store.
+ *
+ * Flow:
+ * 1. verified.js stores the verified email, link flow and locale under an opaque hint ID
+ *    and adds it to the success page's app link (`?deferred=<hint ID>`). The link itself
+ *    carries nothing personal.
+ * 2. When the app isn't installed, the link opens the web fallback (api/app-link.js). It
+ *    takes the hint (once), stores a one-time payload under a random claim code and sends
+ *    the user to the store with that code:
+ *      Android - in the Play Store `referrer` (`deferred_code=<code>`), read by the app
+ *                through the Install Referrer API
+ *      iOS     - copied to the clipboard (`manito-deferred:<code>`) when the user taps the
+ *                App Store button; the App Store doesn't forward anything
+ * 3. On first launch the app claims the payload once (api/claim-deferred-link.js).
+ *
+ * Both live in the session code store under a hash, so the raw IDs never touch storage
+ * and can't be redeemed as session codes:
+ *   deferred-hint:<sha256(hint ID)> - { email, flow, locale }, for an hour
+ *   deferred:<sha256(claim code)>   - the payload, for DEFERRED_LINK_TTL_MINUTES
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getSessionStore } = require('./session-store');
+
+const HINT_TTL_MS = 60 * 60 * 1000; // Success pages can sit in a tab for a while
+// Hint IDs and claim codes are both 24 random bytes, base64url
+const CODE_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const CLIPBOARD_PREFIX = 'manito-deferred:';
+const REFERRER_PARAM = 'deferred_code';
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function storageKeyForHint(hintId) {
+  return `deferred-hint:${hashCode(hintId)}`;
+}
+
+function storageKeyForClaimCode(code) {
+  return `deferred:${hashCode(code)}`;
+}
+
+function randomCode() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Store what the success page knows for its app link. Resolves the hint ID.
+ */
+async function createDeferredHint({ email, flow, locale }) {
+  const hintId = randomCode();
+  await getSessionStore().put(storageKeyForHint(hintId), { email, flow, locale }, HINT_TTL_MS);
+  return hintId;
+}
+
+/**
+ * Fetch and delete the hint for an ID; resolves null if it's malformed, unknown, already
+ * used or expired. Never throws on bad input.
+ */
+async function takeDeferredHint(hintId) {
+  if (typeof hintId !== 'string' || !CODE_PATTERN.test(hintId)) {
+    return null;
+  }
+  return getSessionStore().take(storageKeyForHint(hintId));
+}
+
+/**
+ * Store a one-time payload for a hint. Resolves the claim code.
+ */
+async function createDeferredPayload({ email, flow, locale }, platform) {
+  const code = randomCode();
+  const record = {
+    email,
+    flow,
+    locale,
+    platform,
+    created_at: Date.now()
+  };
+
+  await getSessionStore().put(storageKeyForClaimCode(code), record, getConfig().deferredLinks.ttlMs);
+  return code;
+}
+
+/**
+ * Fetch and delete the payload for a claim code; resolves null if it's unknown,
+ * already claimed or expired
+ */
+async function claimDeferredPayload(code) {
+  if (typeof code !== 'string' || !CODE_PATTERN.test(code)) {
+    return null;
+  }
+  return getSessionStore().take(storageKeyForClaimCode(code));
+}
+
+/**
+ * 'ios' | 'android' | null, from a User-Agent header
+ */
+function detectPlatform(userAgent = '') {
+  if (/android/i.test(userAgent)) {
+    return 'android';
+  }
+  // iPadOS 13+ reports itself as desktop Safari; the Mobile token still gives it away
+  if (/iPhone|iPad|iPod/i.test(userAgent) || (/Macintosh/i.test(userAgent) && /Mobile\//.test(userAgent))) {
+    return 'ios';
+  }
+  return null;
+}
+
+/**
+ * Store listing for a platform, with the claim code attached where the store forwards it.
+ * Null when the listing isn't configured.
+ */
+function storeUrl(platform, claimCode) {
+  const { appStoreUrl, playStoreUrl } = getConfig().deferredLinks;
+
+  if (platform === 'android' && playStoreUrl) {
+    const url = new URL(playStoreUrl);
+    if (claimCode) {
+      url.searchParams.set('referrer', `${REFERRER_PARAM}=${claimCode}`);
+    }
+    return url.toString();
+  }
+  if (platform === 'ios' && appStoreUrl) {
+    return appStoreUrl;
+  }
+  return null;
+}
+
+module.exports = {
+  CLIPBOARD_PREFIX,
+  REFERRER_PARAM,
+  createDeferredHint,
+  takeDeferredHint,
+  createDeferredPayload,
+  claimDeferredPayload,
+  detectPlatform,
+  storeUrl
+};
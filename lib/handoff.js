@@ -0,0 +1,93 @@
+/**
+ * Desktop-to-Phone Handoff
+ * When a verification link is opened on a desktop, the page shows a QR code for a
+ * one-time app link (`<APP_LINK_BASE_URL>/auth/handoff?code=<code>`). Scanning it with
+ * the phone opens the app, which redeems the code once (api/claim-handoff.js) for the
+ * verified email and link flow, to pre-fill its login form.
+ *
+ * Handoffs never carry tokens: anyone can scan a QR code on a screen, and the scanning
+ * phone holds no PKCE verifier to bind them to (lib/pkce.js). The user still signs in.
+ *
+ * The desktop page polls api/handoff-status.js with the handoff's public ID - never the
+ * code - and updates as soon as the phone has claimed it.
+ *
+ * Entries live in the session code store for HANDOFF_TTL_SECONDS:
+ *   handoff:<sha256(code)> - the payload, taken by the claim
+ *   handoff-claimed:<id>   - written by the claim, taken by the next status check
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { appLink } = require('./app-links');
+const { renderQrSvg } = require('./qr');
+const { getSessionStore } = require('./session-store');
+const { storageKeyForCode } = require('./session-crypto');
+
+const CODE_PATTERN = /^[a-f0-9]{64}$/;
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function payloadKey(code) {
+  return `handoff:${storageKeyForCode(code)}`;
+}
+
+function claimedKey(id) {
+  return `handoff-claimed:${id}`;
+}
+
+/**
+ * Store a one-time handoff and build its QR code.
+ * Resolves { id, url, qrSvg, expiresAt }.
+ */
+async function createHandoff({ userId, email, flow, locale, qrLabel }) {
+  const { ttlMs } = getConfig().handoff;
+  const code = crypto.randomBytes(32).toString('hex');
+  const id = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + ttlMs;
+
+  await getSessionStore().put(payloadKey(code), {
+    id,
+    user_id: userId,
+    email,
+    flow,
+    locale,
+    expires_at: expiresAt
+  }, ttlMs);
+
+  const url = appLink('auth/handoff', { code, locale });
+  return { id, url, qrSvg: renderQrSvg(url, { label: qrLabel }), expiresAt };
+}
+
+/**
+ * Redeem a handoff code. Resolves null if it's unknown, claimed or expired, otherwise
+ * { id, user_id, email, flow, locale, expires_at }.
+ */
+async function claimHandoff(code) {
+  if (typeof code !== 'string' || !CODE_PATTERN.test(code)) {
+    return null;
+  }
+
+  const entry = await getSessionStore().take(payloadKey(code));
+  if (!entry || entry.expires_at < Date.now()) {
+    return null;
+  }
+
+  // Let the desktop page know, for whatever is left of the handoff's lifetime
+  await getSessionStore().put(claimedKey(entry.id), { claimed_at: Date.now() }, Math.max(entry.expires_at - Date.now(), 1000));
+  return entry;
+}
+
+/**
+ * Whether the phone has claimed the handoff. Reports true once.
+ */
+async function takeHandoffClaim(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    return false;
+  }
+  return Boolean(await getSessionStore().take(claimedKey(id)));
+}
+
+module.exports = {
+  createHandoff,
+  claimHandoff,
+  takeHandoffClaim
+};
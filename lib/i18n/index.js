@@ -0,0 +1,144 @@
+/**
+ * Internationalization for the callback pages
+ * Message catalogs live in ./locales (one JSON file per locale, same keys everywhere).
+ * The server pages (api/verified.js) and the callback page (lib/templates/callback.html,
+ * via the generated public/messages.js) share these catalogs.
+ *
+ * Locale negotiation, first match wins:
+ *   1. `?lang=` query override
+ *   2. The user's metadata locale (`user_metadata.locale`)
+ *   3. The Accept-Language header
+ *   4. DEFAULT_LOCALE
+ */
+
+const { createLogger } = require('../logger');
+
+const log = createLogger('i18n');
+
+const CATALOGS = {
+  'es-CL': require('./locales/es-CL.json'),
+  'en': require('./locales/en.json'),
+  'pt-BR': require('./locales/pt-BR.json')
+};
+
+const DEFAULT_LOCALE = 'es-CL';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Dates are shown in the marketplace's time zone, whatever the reader's language
+const TIME_ZONE = 'America/Santiago';
+
+/**
+ * Map a language tag to a supported locale: exact match first, then by language
+ * ('es-AR' -> 'es-CL', 'pt' -> 'pt-BR', 'en-US' -> 'en'). Returns null when unsupported.
+ */
+function matchLocale(tag) {
+  if (typeof tag !== 'string' || !tag) {
+    return null;
+  }
+
+  const normalized = tag.trim().replace('_', '-').toLowerCase();
+  const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === normalized);
+  if (exact) {
+    return exact;
+  }
+
+  const language = normalized.split('-')[0];
+  return SUPPORTED_LOCALES.find((locale) => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Language tags from an Accept-Language header, highest quality first
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+      const quality = qParam ? Number(qParam.trim().slice(2)) : 1;
+      return { tag, quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Pick the locale for a request (see the precedence above)
+ */
+function negotiateLocale({ lang, metadataLocale, acceptLanguage } = {}) {
+  const candidates = [lang, metadataLocale, ...parseAcceptLanguage(acceptLanguage)];
+
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * The user's preferred locale from Supabase user metadata, if any
+ */
+function localeFromUser(user) {
+  return user?.user_metadata?.locale || user?.raw_user_meta_data?.locale || null;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Translation helpers bound to one locale.
+ *   t('flows.signup.title')
+ *   t('common.verifiedOn', { date: formatDate(verifiedAt) })
+ * Missing keys fall back to DEFAULT_LOCALE, then to the key itself.
+ */
+function createTranslator(requestedLocale) {
+  const locale = matchLocale(requestedLocale) || DEFAULT_LOCALE;
+  const catalog = CATALOGS[locale];
+  const numberFormat = new Intl.NumberFormat(locale);
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: TIME_ZONE });
+
+  function t(key, params = {}) {
+    let message = lookup(catalog, key);
+    if (typeof message !== 'string') {
+      message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+    }
+    if (typeof message !== 'string') {
+      log.warn('⚠️ Missing translation', { locale, key });
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) {
+        return match;
+      }
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  }
+
+  return {
+    locale,
+    t,
+    formatNumber: (value) => numberFormat.format(value),
+    formatDate: (value) => dateFormat.format(new Date(value))
+  };
+}
+
+module.exports = {
+  CATALOGS,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  matchLocale,
+  parseAcceptLanguage,
+  negotiateLocale,
+  localeFromUser,
+  createTranslator
+};
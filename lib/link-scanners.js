@@ -0,0 +1,56 @@
+/**
+ * Email Link Scanner Detection
+ * Mail security gateways (Outlook Safe Links, Proofpoint, Mimecast, ...), mail clients and
+ * chat apps fetch links before the user does, to scan them or build a preview. /verified
+ * answers every GET with a confirm step and only consumes the link on the POST the user's
+ * tap sends; this labels who fetched the confirm step, for logs and metrics.
+ *
+ * classifyLinkRequest(req) → 'head' | 'prefetch' | 'scanner' | 'browser'
+ *   head     - HEAD request, never a person
+ *   prefetch - speculative load (Purpose / Sec-Purpose: prefetch, X-Purpose: preview, X-Moz)
+ *   scanner  - a known scanner, previewer, headless browser or HTTP library, or no User-Agent
+ *   browser  - anything else, including scanners that pose as a browser
+ */
+
+const SCANNER_USER_AGENTS = [
+  // Mail security gateways and Office apps checking links before opening them
+  /Microsoft Office|ms-office|SafeLinks|Proofpoint|Mimecast|Barracuda|IronPort|Forcepoint|Trellix|FireEye|Symantec|MessageLabs|Sophos|Trend ?Micro|Zscaler/i,
+  // Mail and chat link previews, search engines and other crawlers
+  /GoogleImageProxy|Google-Safety|facebookexternalhit|WhatsApp|SkypeUriPreview|bot\b|bot\/|crawler|spider|preview/i,
+  // Headless and automated browsers
+  /HeadlessChrome|PhantomJS|Selenium|Puppeteer|Playwright/i,
+  // HTTP libraries
+  /^(curl|Wget|python-requests|python-urllib|aiohttp|Go-http-client|Java\/|Apache-HttpClient|okhttp|libwww-perl|axios|node-fetch|undici)/i
+];
+
+function isPrefetch(headers) {
+  const purpose = `${headers['sec-purpose'] || ''} ${headers.purpose || ''}`;
+  return /prefetch|prerender/i.test(purpose) ||
+    /preview/i.test(headers['x-purpose'] || '') ||
+    /prefetch/i.test(headers['x-moz'] || '');
+}
+
+/**
+ * Who is most likely fetching a one-time link
+ */
+function classifyLinkRequest(req) {
+  if (req.method === 'HEAD') {
+    return 'head';
+  }
+
+  const headers = req.headers || {};
+  if (isPrefetch(headers)) {
+    return 'prefetch';
+  }
+
+  const userAgent = headers['user-agent'] || '';
+  if (!userAgent.trim() || SCANNER_USER_AGENTS.some((pattern) => pattern.test(userAgent))) {
+    return 'scanner';
+  }
+
+  return 'browser';
+}
+
+module.exports = {
+  classifyLinkRequest
+};
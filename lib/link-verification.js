@@ -0,0 +1,213 @@
+/**
+ * Server-side email link verification
+ * Verifies Supabase email links directly instead of waiting for the webhook:
+ *
+ * - `token_hash` + `type` (email template links to /verified?token_hash=...&type=...)
+ *   are checked with auth.verifyOtp
+ * - PKCE `code` links are exchanged with auth.exchangeCodeForSession. The exchange needs
+ *   the code verifier of whoever started the flow. The signup edge function registers it
+ *   under the link's correlation ID (api/register-code-verifier.js) - in Supabase's
+ *   storage format, `<verifier>` or `<verifier>/<redirect type>` - and the link carries
+ *   that `correlation` token. Each verifier is used once.
+ *
+ * What happens to the session Supabase returns depends on the flow:
+ * - signup, invite, email_change: revoked right away. The page only needs to know who
+ *   verified, and the app still signs in on its own.
+ * - recovery, magiclink: the session is what the link is for, so it's handed back to be
+ *   passed on to the app through a session code. These links must carry the app's PKCE
+ *   `code_challenge` (lib/pkce.js); without it they're rejected before Supabase sees them,
+ *   so the link stays usable.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('./config');
+const { verifyCorrelationToken } = require('./correlation-token');
+const { isValidCodeChallenge, isValidCodeVerifier } = require('./pkce');
+const { getSessionStore } = require('./session-store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('link-verification');
+
+const STORAGE_KEY = 'manito-callback';
+// Registered verifiers outlive short correlation tokens by at least this long
+const MIN_VERIFIER_TTL_MS = 15 * 60 * 1000;
+
+// verifyOtp `type` -> flow key (see lib/auth-flows.js)
+const OTP_TYPE_FLOWS = {
+  signup: 'signup',
+  invite: 'invite',
+  recovery: 'recovery',
+  magiclink: 'magiclink',
+  email: 'magiclink',
+  email_change: 'email_change'
+};
+
+// Flows whose session goes on to the app instead of being revoked
+const SESSION_FLOWS = ['recovery', 'magiclink'];
+
+function verifierKey(correlationId) {
+  return `code-verifier:${correlationId}`;
+}
+
+/**
+ * A throwaway auth client per request: no session is persisted or shared
+ */
+function createRequestAuthClient(storageItems = {}) {
+  const items = new Map(Object.entries(storageItems));
+
+  const { url, anonKey } = getConfig().supabase;
+
+  return createClient(url, anonKey, {
+    auth: {
+      flowType: 'pkce',
+      storageKey: STORAGE_KEY,
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false,
+      storage: {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => { items.set(key, value); },
+        removeItem: (key) => { items.delete(key); }
+      }
+    }
+  });
+}
+
+/**
+ * Revoke the session created by the verification (best effort)
+ */
+async function revokeSession(session) {
+  if (!session?.access_token) {
+    return;
+  }
+
+  try {
+    const { url, serviceRoleKey } = getConfig().supabase;
+    const admin = createClient(url, serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+    await admin.auth.admin.signOut(session.access_token, 'local');
+  } catch (error) {
+    log.warn('⚠️ Could not revoke verification session', { reason: error.message });
+  }
+}
+
+/**
+ * Register the PKCE code verifier for the link carrying a correlation token, in Supabase's
+ * storage format (`<verifier>` or `<verifier>/<redirect type>`). Kept until the link expires.
+ * Resolves false when the token or verifier is invalid.
+ */
+async function registerCodeVerifier(correlationToken, storageItem) {
+  const correlation = verifyCorrelationToken(correlationToken);
+  const [verifier, redirectType, ...rest] = typeof storageItem === 'string' ? storageItem.split('/') : [];
+  if (!correlation || !isValidCodeVerifier(verifier) || rest.length > 0 || redirectType === '') {
+    return false;
+  }
+
+  const ttlMs = Math.max(correlation.exp - Date.now(), MIN_VERIFIER_TTL_MS);
+  await getSessionStore().put(verifierKey(correlation.cid), { storage_item: storageItem }, ttlMs);
+  return true;
+}
+
+/**
+ * True when the request carries parameters this module can verify
+ */
+function hasVerifiableLink(query = {}) {
+  return !!((query.token_hash && query.type) || query.code);
+}
+
+/**
+ * Session handling shared by both link kinds: recovery and magic links keep theirs for the
+ * app, everything else is revoked
+ */
+async function linkResult(data, flow, codeChallenge) {
+  if (SESSION_FLOWS.includes(flow) && data.session) {
+    return { user: data.user, flow, session: data.session, codeChallenge };
+  }
+
+  await revokeSession(data.session);
+  return { user: data.user, flow };
+}
+
+async function verifyTokenHash(query) {
+  const flow = OTP_TYPE_FLOWS[query.type];
+  if (!flow) {
+    return { error: `Unsupported link type: ${query.type}` };
+  }
+
+  if (SESSION_FLOWS.includes(flow) && !isValidCodeChallenge(query.code_challenge)) {
+    return { error: 'Missing or invalid code_challenge' };
+  }
+
+  const { data, error } = await createRequestAuthClient().auth.verifyOtp({
+    token_hash: query.token_hash,
+    type: query.type
+  });
+
+  if (error || !data?.user) {
+    return { error: error?.message || 'Link verification failed' };
+  }
+
+  return linkResult(data, flow, query.code_challenge);
+}
+
+async function exchangeCode(query) {
+  const correlation = verifyCorrelationToken(query.correlation);
+  if (!correlation) {
+    return { error: 'PKCE code link without a valid correlation token' };
+  }
+
+  const store = getSessionStore();
+  const registered = await store.get(verifierKey(correlation.cid));
+  if (!registered) {
+    return { error: 'No code verifier registered for this link' };
+  }
+
+  // The link type, else the flow the token was minted for, else the verifier's redirect type
+  const redirectType = registered.storage_item.split('/')[1];
+  const flow = OTP_TYPE_FLOWS[query.type] ||
+    OTP_TYPE_FLOWS[correlation.flow] ||
+    (redirectType === 'recovery' ? 'recovery' : 'signup');
+
+  // Checked before the verifier is used, so the link stays usable
+  if (SESSION_FLOWS.includes(flow) && !isValidCodeChallenge(query.code_challenge)) {
+    return { error: 'Missing or invalid code_challenge' };
+  }
+
+  // Single use: a second exchange of the same link fails at Supabase anyway
+  const taken = await store.take(verifierKey(correlation.cid));
+  if (!taken) {
+    return { error: 'No code verifier registered for this link' };
+  }
+
+  const client = createRequestAuthClient({ [`${STORAGE_KEY}-code-verifier`]: taken.storage_item });
+  const { data, error } = await client.auth.exchangeCodeForSession(query.code);
+
+  if (error || !data?.user) {
+    return { error: error?.message || 'Code exchange failed' };
+  }
+
+  return linkResult(data, flow, query.code_challenge);
+}
+
+/**
+ * Verify the email link in the query string.
+ * Resolves { user, flow } on success - plus { session, codeChallenge } for recovery and
+ * magic links - or { error } when the link is rejected (expired, already used, no
+ * code_challenge, no registered verifier). Unexpected failures throw.
+ */
+async function verifyEmailLink(query = {}) {
+  if (query.token_hash && query.type) {
+    return verifyTokenHash(query);
+  }
+  if (query.code) {
+    return exchangeCode(query);
+  }
+  return { error: 'No verifiable link parameters' };
+}
+
+module.exports = {
+  registerCodeVerifier,
+  hasVerifiableLink,
+  verifyEmailLink
+};
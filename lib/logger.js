@@ -0,0 +1,171 @@
+/**
+ * Structured Logging
+ * One JSON object per line: { time, level, scope, msg, requestId, ...fields }
+ *
+ *   const log = createLogger('verified');
+ *   log.info('✅ Link verified server-side', { flow, userId });
+ *   log.error('❌ Failed to store verification event', { error });
+ *
+ * - Levels: debug < info < warn < error. The minimum comes from LOG_LEVEL, by default
+ *   `debug` in development and `info` elsewhere (lib/config.js).
+ * - Redaction: tokens, secrets, cookies and personal names are replaced, and email
+ *   addresses are masked to their domain, wherever they appear (field names or values).
+ * - Request correlation: handlers wrapped in withRequestContext() get a request ID
+ *   (the caller's X-Request-Id when well-formed, else a new one) that is echoed in the
+ *   X-Request-Id response header and attached to every entry logged while handling it.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVELS, getConfig } = require('./config');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Field names whose string values are never logged
+const SECRET_FIELD = /token|secret|password|authorization|cookie|api_?key|code_verifier|code_challenge|session_code|sealed|signature/i;
+const PERSONAL_FIELD = /^(name|full_?name|first_?name|last_?name|display_?name|given_?name|family_?name|nombres?|apellidos?|phone(_?number)?)$/i;
+
+// Values that are redacted wherever they show up, including inside messages
+const EMAIL_PATTERN = /[\w.%+-]+@([a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/gi;
+const JWT_PATTERN = /\beyJ[\w-]*\.[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /\bBearer\s+[\w.~+/-]+=*/gi;
+
+const requestContext = new AsyncLocalStorage();
+
+let minimumLevel = null;
+
+function minimumLevelIndex() {
+  if (minimumLevel === null) {
+    try {
+      minimumLevel = getConfig().logging.level;
+    } catch (error) {
+      // Logging has to keep working when the configuration itself is what's broken
+      minimumLevel = 'info';
+    }
+  }
+  return LOG_LEVELS.indexOf(minimumLevel);
+}
+
+function redactString(value) {
+  return value
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(EMAIL_PATTERN, (match, domain) => `***@${domain}`);
+}
+
+/**
+ * Copy of `value` that is safe to log
+ */
+function redact(value, key = '', depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined || typeof value === 'boolean' || typeof value === 'number') {
+    return value;
+  }
+
+  if (SECRET_FIELD.test(key) || PERSONAL_FIELD.test(key)) {
+    return REDACTED;
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.stack ? { stack: redactString(value.stack) } : {})
+    };
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, key, depth + 1, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([field, item]) => [field, redact(item, field, depth + 1, seen)])
+  );
+}
+
+function write(level, scope, message, fields) {
+  if (LOG_LEVELS.indexOf(level) < minimumLevelIndex()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    scope,
+    msg: redactString(String(message)),
+    ...requestContext.getStore(),
+    ...redact(fields instanceof Error ? { error: fields } : fields || {})
+  };
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Logger for one module or route
+ */
+function createLogger(scope) {
+  return {
+    debug: (message, fields) => write('debug', scope, message, fields),
+    info: (message, fields) => write('info', scope, message, fields),
+    warn: (message, fields) => write('warn', scope, message, fields),
+    error: (message, fields) => write('error', scope, message, fields)
+  };
+}
+
+/**
+ * The current request's ID, or undefined outside a request
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Wrap a handler so everything it logs carries the request's ID
+ */
+function withRequestContext(handler) {
+  return async function handlerWithRequestContext(req, res) {
+    const incoming = req.headers[REQUEST_ID_HEADER.toLowerCase()];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+    return requestContext.run({ requestId }, () => handler(req, res));
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  createLogger,
+  redact,
+  getRequestId,
+  withRequestContext
+};
@@ -0,0 +1,245 @@
+/**
+ * Verification Funnel Metrics
+ * Counters and histograms for the auth flow, exposed in Prometheus text format by
+ * api/metrics.js.
+ *
+ *   await incrementCounter('manito_session_codes_created_total');
+ *   await observeHistogram('manito_verification_lookup_attempts', attempt, { outcome: 'found' });
+ *
+ * Every metric is declared in METRICS below (name, type, help, labels) - recording an
+ * undeclared metric or label throws, so typos surface in development.
+ * Recording never fails a request: store errors are logged and dropped.
+ *
+ * Sample store (METRICS_STORE): 'redis' | 'memory' - redis when REDIS_URL is set
+ */
+
+const { getConfig } = require('../config');
+const { createLogger } = require('../logger');
+const { createMemoryMetricStore } = require('./memory');
+const { createRedisMetricStore } = require('./redis');
+
+const log = createLogger('metrics');
+
+const ATTEMPT_BUCKETS = [1, 2, 3, 4, 5, 6, 8, 10];
+const LATENCY_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 900];
+
+const METRICS = {
+  manito_webhooks_received_total: {
+    type: 'counter',
+    help: 'Auth webhooks received, by Supabase event type',
+    labels: ['type']
+  },
+  manito_webhooks_processed_total: {
+    type: 'counter',
+    help: 'Auth webhook deliveries handled, by outcome (processed, failed, duplicate)',
+    labels: ['outcome']
+  },
+  manito_profiles_created_total: {
+    type: 'counter',
+    help: 'User profiles created after email verification, by user type',
+    labels: ['user_type']
+  },
+  manito_session_codes_created_total: {
+    type: 'counter',
+    help: 'One-time session codes minted by the callback page',
+    labels: []
+  },
+  manito_session_codes_redeemed_total: {
+    type: 'counter',
+    help: 'Session codes exchanged for tokens by the app',
+    labels: []
+  },
+  manito_session_codes_rejected_total: {
+    type: 'counter',
+    help: 'Session code redemptions refused, by reason (expired, not_found, invalid_verifier, tampered)',
+    labels: ['reason']
+  },
+  manito_verification_pages_total: {
+    type: 'counter',
+    help: 'Verification success pages served, by link flow and how the user was resolved (link, webhook)',
+    labels: ['flow', 'source']
+  },
+  manito_verification_confirm_pages_total: {
+    type: 'counter',
+    help: 'Confirm steps served for one-time links, by who fetched them (head, prefetch, scanner, browser)',
+    labels: ['client']
+  },
+  manito_expired_link_pages_total: {
+    type: 'counter',
+    help: 'Expired-link (410) pages served, by reason (link_rejected, no_correlation, not_found)',
+    labels: ['reason']
+  },
+  manito_deferred_links_created_total: {
+    type: 'counter',
+    help: 'Deferred deep link payloads stored before sending a user to the store, by platform',
+    labels: ['platform']
+  },
+  manito_deferred_links_claimed_total: {
+    type: 'counter',
+    help: 'Deferred deep link claims by the app after install, by outcome (claimed, not_found)',
+    labels: ['outcome']
+  },
+  manito_handoffs_created_total: {
+    type: 'counter',
+    help: 'Desktop-to-phone handoff QR codes issued, by the page that showed them (callback, success)',
+    labels: ['page']
+  },
+  manito_handoffs_claimed_total: {
+    type: 'counter',
+    help: 'Handoff codes redeemed by the app, by outcome (claimed, not_found)',
+    labels: ['outcome']
+  },
+  manito_signup_status_responses_total: {
+    type: 'counter',
+    help: 'Signup statuses reported to the app, by mode (long_poll, sse) and status (pending, verified, expired)',
+    labels: ['mode', 'status']
+  },
+  manito_verification_lookup_attempts: {
+    type: 'histogram',
+    help: 'Attempts the /verified webhook fallback needed, by outcome (found, exhausted)',
+    labels: ['outcome'],
+    buckets: ATTEMPT_BUCKETS
+  },
+  manito_webhook_to_page_seconds: {
+    type: 'histogram',
+    help: 'Seconds from the recorded verification to the success page being served (webhook fallback)',
+    labels: [],
+    buckets: LATENCY_BUCKETS
+  }
+};
+
+let store = null;
+
+function createMetricStore(backend = getConfig().metrics.store) {
+  return backend === 'redis' ? createRedisMetricStore() : createMemoryMetricStore();
+}
+
+function getMetricStore() {
+  if (!store) {
+    store = createMetricStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the sample store (tests)
+ */
+function setMetricStore(customStore) {
+  store = customStore;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * `{a="1",b="2"}` in declaration order, or '' for no labels
+ */
+function formatLabels(definition, labels) {
+  const unknown = Object.keys(labels).filter((name) => !definition.labels.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Undeclared metric labels: ${unknown.join(', ')}`);
+  }
+
+  const pairs = definition.labels.map((name) => `${name}="${escapeLabelValue(labels[name] ?? '')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function withLabel(labelString, name, value) {
+  const pair = `${name}="${escapeLabelValue(value)}"`;
+  return labelString ? `${labelString.slice(0, -1)},${pair}}` : `{${pair}}`;
+}
+
+function definitionFor(name, type) {
+  const definition = METRICS[name];
+  if (!definition || definition.type !== type) {
+    throw new Error(`Undeclared ${type}: ${name}`);
+  }
+  return definition;
+}
+
+async function record(name, increments) {
+  try {
+    await getMetricStore().add(increments);
+  } catch (error) {
+    log.warn('⚠️ Failed to record metric', { metric: name, reason: error.message });
+  }
+}
+
+/**
+ * Add `amount` (default 1) to a counter
+ */
+async function incrementCounter(name, labels = {}, amount = 1) {
+  const labelString = formatLabels(definitionFor(name, 'counter'), labels);
+  await record(name, { [`${name}${labelString}`]: amount });
+}
+
+/**
+ * Record one observation in a histogram (cumulative buckets, sum and count)
+ */
+async function observeHistogram(name, value, labels = {}) {
+  const definition = definitionFor(name, 'histogram');
+  const labelString = formatLabels(definition, labels);
+
+  const increments = {
+    [`${name}_sum${labelString}`]: value,
+    [`${name}_count${labelString}`]: 1,
+    [`${name}_bucket${withLabel(labelString, 'le', '+Inf')}`]: 1
+  };
+  definition.buckets
+    .filter((bound) => value <= bound)
+    .forEach((bound) => {
+      increments[`${name}_bucket${withLabel(labelString, 'le', bound)}`] = 1;
+    });
+
+  await record(name, increments);
+}
+
+/**
+ * Every declared metric in Prometheus text exposition format (version 0.0.4)
+ */
+async function renderMetrics() {
+  const samples = await getMetricStore().snapshot();
+  const lines = [];
+
+  for (const [name, definition] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${definition.help}`);
+    lines.push(`# TYPE ${name} ${definition.type}`);
+
+    if (definition.type === 'counter') {
+      const series = Object.keys(samples).filter((key) => key === name || key.startsWith(`${name}{`));
+      if (series.length === 0 && definition.labels.length === 0) {
+        lines.push(`${name} 0`);
+      }
+      series.sort().forEach((key) => lines.push(`${key} ${samples[key]}`));
+      continue;
+    }
+
+    // Histograms: one group of bucket/sum/count lines per label set, buckets in order
+    const countPrefix = `${name}_count`;
+    const labelSets = Object.keys(samples)
+      .filter((key) => key === countPrefix || key.startsWith(`${countPrefix}{`))
+      .map((key) => key.slice(countPrefix.length))
+      .sort();
+
+    for (const labelString of labelSets) {
+      [...definition.buckets, '+Inf'].forEach((bound) => {
+        const key = `${name}_bucket${withLabel(labelString, 'le', bound)}`;
+        lines.push(`${key} ${samples[key] || 0}`);
+      });
+      lines.push(`${name}_sum${labelString} ${samples[`${name}_sum${labelString}`] || 0}`);
+      lines.push(`${name}_count${labelString} ${samples[`${name}_count${labelString}`]}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  METRICS,
+  incrementCounter,
+  observeHistogram,
+  renderMetrics,
+  getMetricStore,
+  setMetricStore
+};
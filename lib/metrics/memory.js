@@ -0,0 +1,30 @@
+/**
+ * In-memory metric samples
+ * Per-instance only - use for tests and local development
+ */
+
+function createMemoryMetricStore() {
+  const samples = new Map();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Add to several samples at once: { '<series>': amount }
+     */
+    async add(increments) {
+      for (const [series, amount] of Object.entries(increments)) {
+        samples.set(series, (samples.get(series) || 0) + amount);
+      }
+    },
+
+    /**
+     * Every sample recorded so far: { '<series>': value }
+     */
+    async snapshot() {
+      return Object.fromEntries(samples);
+    }
+  };
+}
+
+module.exports = { createMemoryMetricStore };
@@ -0,0 +1,31 @@
+/**
+ * Redis metric samples
+ * One hash shared by every instance, so /api/metrics reports deployment-wide totals
+ */
+
+const { getRedisClient } = require('../redis');
+
+const METRICS_KEY = 'manito:metrics';
+
+function createRedisMetricStore(client = getRedisClient()) {
+  return {
+    name: 'redis',
+
+    async add(increments) {
+      const pipeline = client.multi();
+      for (const [series, amount] of Object.entries(increments)) {
+        pipeline.hincrbyfloat(METRICS_KEY, series, amount);
+      }
+      await pipeline.exec();
+    },
+
+    async snapshot() {
+      const samples = await client.hgetall(METRICS_KEY);
+      return Object.fromEntries(
+        Object.entries(samples).map(([series, value]) => [series, Number(value)])
+      );
+    }
+  };
+}
+
+module.exports = { createRedisMetricStore };
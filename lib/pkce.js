@@ -0,0 +1,47 @@
+/**
+ * PKCE (RFC 7636) helpers for session code redemption
+ * The app instance that starts the flow keeps a random code_verifier and passes only
+ * its S256 code_challenge along; redeeming the session code requires the verifier.
+ */
+
+const crypto = require('crypto');
+
+// RFC 7636 section 4.1: 43-128 unreserved characters
+const VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+// base64url(SHA-256) without padding is always 43 characters
+const CHALLENGE_PATTERN = /^[A-Za-z0-9\-_]{43}$/;
+
+function isValidCodeVerifier(verifier) {
+  return typeof verifier === 'string' && VERIFIER_PATTERN.test(verifier);
+}
+
+function isValidCodeChallenge(challenge) {
+  return typeof challenge === 'string' && CHALLENGE_PATTERN.test(challenge);
+}
+
+/**
+ * S256 transform: base64url(SHA-256(verifier))
+ */
+function computeCodeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+/**
+ * Constant-time check that the verifier matches the stored S256 challenge
+ */
+function verifyCodeVerifier(verifier, challenge) {
+  if (!isValidCodeVerifier(verifier) || !isValidCodeChallenge(challenge)) {
+    return false;
+  }
+
+  const expected = Buffer.from(challenge);
+  const actual = Buffer.from(computeCodeChallenge(verifier));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  isValidCodeVerifier,
+  isValidCodeChallenge,
+  computeCodeChallenge,
+  verifyCodeVerifier
+};
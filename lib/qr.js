@@ -0,0 +1,430 @@
+/**
+ * QR Codes
+ * A small encoder for the desktop-to-phone handoff (lib/handoff.js), rendered as SVG.
+ * Generated here so handoff links never reach a third-party QR service.
+ *
+ * Scope: byte mode, error correction level M, versions 1-10 (up to 213 bytes) - plenty
+ * for an app link. Follows ISO/IEC 18004: Reed-Solomon over GF(256), block interleaving
+ * and the best of the eight masks by the standard penalty rules.
+ *
+ *   renderQrSvg('https://auth.manito.cl/app/auth/handoff?code=...', { label: 'Scan me' })
+ */
+
+// Per version: [EC codewords per block, group 1 blocks, data codewords per group 1 block,
+// group 2 blocks]. Group 2 blocks hold one more data codeword.
+const LEVEL_M_BLOCKS = [
+  null,
+  [10, 1, 16, 0],
+  [16, 1, 28, 0],
+  [26, 1, 44, 0],
+  [18, 2, 32, 0],
+  [24, 2, 43, 0],
+  [16, 4, 27, 0],
+  [18, 4, 31, 0],
+  [22, 2, 38, 2],
+  [22, 3, 36, 2],
+  [26, 4, 43, 1]
+];
+
+const ALIGNMENT_POSITIONS = [
+  null,
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50]
+];
+
+const LEVEL_M_FORMAT_BITS = 0b00;
+const MAX_VERSION = LEVEL_M_BLOCKS.length - 1;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// GF(256) with the QR primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) {
+    value ^= 0x11d;
+  }
+}
+for (let i = 255; i < 512; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+function gfMultiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+/**
+ * Coefficients of (x - a^0)(x - a^1)...(x - a^(degree-1)), highest power first
+ */
+function generatorPolynomial(degree) {
+  let polynomial = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(polynomial.length + 1).fill(0);
+    polynomial.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= gfMultiply(coefficient, EXP[i]);
+    });
+    polynomial = next;
+  }
+  return polynomial;
+}
+
+function errorCorrectionCodewords(data, degree) {
+  const generator = generatorPolynomial(degree);
+  const remainder = new Array(degree).fill(0);
+
+  data.forEach((byte) => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) {
+      remainder[i] ^= gfMultiply(generator[i + 1], factor);
+    }
+  });
+  return remainder;
+}
+
+function dataCapacity(version) {
+  const [, group1Blocks, group1Data, group2Blocks] = LEVEL_M_BLOCKS[version];
+  return group1Blocks * group1Data + group2Blocks * (group1Data + 1);
+}
+
+function countBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+function chooseVersion(byteLength) {
+  for (let version = 1; version <= MAX_VERSION; version++) {
+    if (4 + countBits(version) + byteLength * 8 <= dataCapacity(version) * 8) {
+      return version;
+    }
+  }
+  throw new Error(`QR payload too long (${byteLength} bytes, at most ${dataCapacity(MAX_VERSION) - 2})`);
+}
+
+/**
+ * Mode, length, data, terminator and padding as codewords
+ */
+function dataCodewords(bytes, version) {
+  const capacityBits = dataCapacity(version) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, countBits(version));
+  bytes.forEach((byte) => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  while (bits.length % 8 !== 0) {
+    bits.push(0);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split into blocks, add error correction and interleave
+ */
+function finalCodewords(data, version) {
+  const [ecPerBlock, group1Blocks, group1Data, group2Blocks] = LEVEL_M_BLOCKS[version];
+  const blocks = [];
+
+  let offset = 0;
+  for (let index = 0; index < group1Blocks + group2Blocks; index++) {
+    const length = group1Data + (index < group1Blocks ? 0 : 1);
+    const blockData = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: blockData, ec: errorCorrectionCodewords(blockData, ecPerBlock) });
+  }
+
+  const result = [];
+  for (let i = 0; i <= group1Data; i++) {
+    blocks.filter((block) => i < block.data.length).forEach((block) => result.push(block.data[i]));
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    blocks.forEach((block) => result.push(block.ec[i]));
+  }
+  return result;
+}
+
+function createGrid(size) {
+  return Array.from({ length: size }, () => new Array(size).fill(false));
+}
+
+/**
+ * Finder, timing and alignment patterns, plus the reserved format/version areas
+ */
+function drawFunctionPatterns(version, modules, isFunction) {
+  const size = modules.length;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finders with their light separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((centerY, row) => {
+    positions.forEach((centerX, column) => {
+      if ((row === 0 && column === 0) || (row === 0 && column === last) || (row === last && column === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  drawFormatBits(0, modules, isFunction);
+  drawVersionBits(version, modules, isFunction);
+}
+
+function drawFormatBits(mask, modules, isFunction) {
+  const size = modules.length;
+  const data = (LEVEL_M_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) {
+    set(8, i, bit(i));
+  }
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) {
+    set(14 - i, 8, bit(i));
+  }
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i++) {
+    set(size - 1 - i, 8, bit(i));
+  }
+  for (let i = 8; i < 15; i++) {
+    set(8, size - 15 + i, bit(i));
+  }
+  set(8, size - 8, true); // Always-dark module
+}
+
+function drawVersionBits(version, modules, isFunction) {
+  if (version < 7) {
+    return;
+  }
+
+  const size = modules.length;
+  let remainder = version;
+  for (let i = 0; i < 12; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  }
+  const bits = (version << 12) | remainder;
+
+  for (let i = 0; i < 18; i++) {
+    const dark = ((bits >>> i) & 1) === 1;
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    modules[b][a] = dark;
+    modules[a][b] = dark;
+    isFunction[b][a] = true;
+    isFunction[a][b] = true;
+  }
+}
+
+/**
+ * Zigzag the codewords through every non-function module, two columns at a time
+ */
+function drawCodewords(codewords, modules, isFunction) {
+  const size = modules.length;
+  let bitIndex = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5; // Skip the vertical timing pattern
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let offset = 0; offset < 2; offset++) {
+        const x = right - offset;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(mask, modules, isFunction) {
+  const condition = MASKS[mask];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (!isFunction[y][x] && condition(x, y)) {
+        row[x] = !dark;
+      }
+    });
+  });
+}
+
+/**
+ * ISO/IEC 18004 penalty score - lower is easier to scan
+ */
+function penaltyScore(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(''));
+    lines.push(modules.map((row) => Number(row[i])).join(''));
+  }
+
+  let score = 0;
+
+  // Runs of five or more modules of one color
+  lines.forEach((line) => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => {
+      score += run.length - 2;
+    });
+  });
+
+  // 2x2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+        score += 3;
+      }
+    }
+  }
+
+  // Finder-like patterns
+  lines.forEach((line) => {
+    for (let i = 0; i + 11 <= line.length; i++) {
+      const window = line.slice(i, i + 11);
+      if (window === '10111010000' || window === '00001011101') {
+        score += 40;
+      }
+    }
+  });
+
+  // Balance of dark and light
+  const dark = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+
+  return score;
+}
+
+/**
+ * Encode text as a QR code. Resolves the module grid (true = dark) and its size.
+ */
+function encodeQr(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = chooseVersion(bytes.length);
+  const size = version * 4 + 17;
+  const codewords = finalCodewords(dataCodewords(bytes, version), version);
+
+  const modules = createGrid(size);
+  const isFunction = createGrid(size);
+  drawFunctionPatterns(version, modules, isFunction);
+  drawCodewords(codewords, modules, isFunction);
+
+  let best = null;
+  MASKS.forEach((condition, mask) => {
+    const candidate = modules.map((row) => row.slice());
+    applyMask(mask, candidate, isFunction);
+    drawFormatBits(mask, candidate, isFunction);
+    const score = penaltyScore(candidate);
+    if (!best || score < best.score) {
+      best = { score, mask, modules: candidate };
+    }
+  });
+
+  return { version, size, mask: best.mask, modules: best.modules };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Standalone SVG for `text`, with the standard four-module quiet zone
+ */
+function renderQrSvg(text, { label = '', margin = 4 } = {}) {
+  const { size, modules } = encodeQr(text);
+  const dimension = size + margin * 2;
+  const path = [];
+
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img" aria-label="${escapeXml(label)}">` +
+    `<rect width="${dimension}" height="${dimension}" fill="#fff"/>` +
+    `<path fill="#000" d="${path.join('')}"/>` +
+    '</svg>';
+}
+
+module.exports = {
+  encodeQr,
+  renderQrSvg
+};
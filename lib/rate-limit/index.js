@@ -0,0 +1,149 @@
+/**
+ * Rate Limiting Middleware
+ * Sliding window limits per client IP and per route, driven by lib/config.js
+ * (RATE_LIMIT_PER_MINUTE, FEATURE_RATE_LIMITING).
+ *
+ * Usage: module.exports = withRateLimit('route-name', handler)
+ *
+ * Per-route overrides: RATE_LIMITS='{"verified":{"limit":30,"windowMs":60000}}'
+ * Counter store (RATE_LIMIT_STORE): 'redis' | 'memory' - redis when REDIS_URL is set
+ */
+
+const { getConfig } = require('../config');
+const { createMemoryCounterStore } = require('./memory');
+const { createRedisCounterStore } = require('./redis');
+const { createLogger } = require('../logger');
+
+const log = createLogger('rate-limit');
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+let store = null;
+let routeLimits = null;
+
+/**
+ * Limits per route, as multiples of the configured per-minute budget
+ */
+function getRouteLimits() {
+  if (!routeLimits) {
+    const { maxAttemptsPerMinute: perMinute, overrides } = getConfig().rateLimit;
+
+    routeLimits = {
+      // Brute-force targets: the plain budget
+      'retrieve-session': { limit: perMinute, windowMs: DEFAULT_WINDOW_MS },
+      'create-secure-session': { limit: perMinute, windowMs: DEFAULT_WINDOW_MS },
+      'get-recent-verification': { limit: perMinute * 2, windowMs: DEFAULT_WINDOW_MS },
+      'claim-deferred-link': { limit: perMinute, windowMs: DEFAULT_WINDOW_MS },
+      'create-handoff': { limit: perMinute, windowMs: DEFAULT_WINDOW_MS },
+      'claim-handoff': { limit: perMinute, windowMs: DEFAULT_WINDOW_MS },
+      // Page loads include reloads and link scanners
+      'verified': { limit: perMinute * 4, windowMs: DEFAULT_WINDOW_MS },
+      'callback': { limit: perMinute * 4, windowMs: DEFAULT_WINDOW_MS },
+      'app-link': { limit: perMinute * 4, windowMs: DEFAULT_WINDOW_MS },
+      // A single page view can trigger several violation reports
+      'csp-report': { limit: perMinute * 12, windowMs: DEFAULT_WINDOW_MS },
+      // Desktop pages poll while the QR code is on screen
+      'handoff-status': { limit: 60, windowMs: DEFAULT_WINDOW_MS },
+      // Apps re-poll (or reconnect) about every 25-50 seconds while waiting on a signup
+      'signup-status': { limit: 30, windowMs: DEFAULT_WINDOW_MS },
+      // Server-to-server callers
+      'auth-webhook': { limit: 300, windowMs: DEFAULT_WINDOW_MS },
+      'register-code-verifier': { limit: 300, windowMs: DEFAULT_WINDOW_MS },
+      'retry-webhook-events': { limit: 10, windowMs: DEFAULT_WINDOW_MS },
+      // Monitoring: scrapers and uptime checks
+      'metrics': { limit: 60, windowMs: DEFAULT_WINDOW_MS },
+      'health': { limit: 60, windowMs: DEFAULT_WINDOW_MS },
+      // Fetched by Apple's CDN and Google's verifier
+      'well-known': { limit: 60, windowMs: DEFAULT_WINDOW_MS },
+      ...overrides
+    };
+  }
+  return routeLimits;
+}
+
+function getCounterStore() {
+  if (!store) {
+    store = getConfig().rateLimit.store === 'redis' ? createRedisCounterStore() : createMemoryCounterStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the counter store (tests)
+ */
+function setCounterStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Client IP as reported by the Vercel edge
+ */
+function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  return req.headers['x-real-ip'] ||
+    (forwarded ? String(forwarded).split(',')[0].trim() : null) ||
+    req.socket?.remoteAddress ||
+    'unknown';
+}
+
+/**
+ * Count this request against the route's limit.
+ * Resolves true to continue, or false after sending a 429 response.
+ */
+async function enforceRateLimit(req, res, route) {
+  if (!getConfig().features.rateLimiting) {
+    return true;
+  }
+
+  const routeLimit = getRouteLimits()[route];
+  if (!routeLimit) {
+    return true;
+  }
+
+  const { limit, windowMs = DEFAULT_WINDOW_MS } = routeLimit;
+  const now = Date.now();
+
+  let outcome;
+  try {
+    outcome = await getCounterStore().hit(`${route}:${clientIp(req)}`, limit, windowMs, now);
+  } catch (error) {
+    // Fail open: a counter outage must not take the auth flow down with it
+    log.error('❌ Rate limit store error, allowing request', { route, reason: error.message });
+    return true;
+  }
+
+  res.setHeader('RateLimit-Limit', String(limit));
+  res.setHeader('RateLimit-Remaining', String(Math.max(0, limit - outcome.count)));
+
+  if (outcome.allowed) {
+    return true;
+  }
+
+  const retryAfterSeconds = Math.max(1, Math.ceil((outcome.oldest + windowMs - now) / 1000));
+  log.warn('🚦 Rate limit exceeded', { route, limit, windowMs, retryAfterSeconds });
+
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    error: 'Too many requests',
+    retry_after: retryAfterSeconds
+  });
+  return false;
+}
+
+/**
+ * Wrap a Vercel handler with the route's rate limit
+ */
+function withRateLimit(route, handler) {
+  return async function rateLimitedHandler(req, res) {
+    if (!(await enforceRateLimit(req, res, route))) {
+      return;
+    }
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  enforceRateLimit,
+  withRateLimit,
+  setCounterStore
+};
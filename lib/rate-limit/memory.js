@@ -0,0 +1,62 @@
+/**
+ * In-memory sliding window counters
+ * Per-instance only - use for tests and local development
+ *
+ * Keys whose window has passed are dropped when they're hit again, and by a sweep over
+ * all keys at most once a minute, so clients that never come back don't pile up.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryCounterStore() {
+  // key -> { hits: timestamps, oldest first, windowMs }
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  function sweep(now) {
+    for (const [key, entry] of windows) {
+      if (entry.hits[entry.hits.length - 1] <= now - entry.windowMs) {
+        windows.delete(key);
+      }
+    }
+    lastSweep = now;
+  }
+
+  return {
+    name: 'memory',
+
+    /**
+     * Record a hit if the key is under its limit.
+     * Resolves { allowed, count, oldest } for the window ending now.
+     */
+    async hit(key, limit, windowMs, now = Date.now()) {
+      if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+        sweep(now);
+      }
+
+      const hits = (windows.get(key)?.hits || []).filter((timestamp) => timestamp > now - windowMs);
+      const allowed = hits.length < limit;
+
+      if (allowed) {
+        hits.push(now);
+      }
+
+      if (hits.length > 0) {
+        windows.set(key, { hits, windowMs });
+      } else {
+        windows.delete(key);
+      }
+
+      return { allowed, count: hits.length, oldest: hits[0] ?? now };
+    },
+
+    /**
+     * Number of keys currently tracked
+     */
+    size() {
+      return windows.size;
+    }
+  };
+}
+
+module.exports = { createMemoryCounterStore };
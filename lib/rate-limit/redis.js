@@ -0,0 +1,45 @@
+/**
+ * Redis sliding window counters
+ * One sorted set of hit timestamps per key, trimmed and checked in a single atomic script
+ */
+
+const crypto = require('crypto');
+const { getRedisClient } = require('../redis');
+
+const KEY_PREFIX = 'manito:rate-limit:';
+
+// KEYS[1] = key, ARGV = now, windowMs, limit, member
+const HIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')[2] or now
+return { allowed, count, tonumber(oldest) }
+`;
+
+function createRedisCounterStore(client = getRedisClient()) {
+  return {
+    name: 'redis',
+
+    async hit(key, limit, windowMs, now = Date.now()) {
+      // Random suffix keeps simultaneous hits in the same millisecond distinct
+      const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+      const [allowed, count, oldest] = await client.eval(
+        HIT_SCRIPT, 1, KEY_PREFIX + key, now, windowMs, limit, member
+      );
+
+      return { allowed: allowed === 1, count, oldest };
+    }
+  };
+}
+
+module.exports = { createRedisCounterStore };
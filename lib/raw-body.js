@@ -0,0 +1,27 @@
+/**
+ * Read the unparsed request body
+ * Signature checks must run over the exact bytes that were signed, not re-serialized JSON
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readRawBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+module.exports = { readRawBody };
@@ -0,0 +1,34 @@
+/**
+ * Shared Redis connection
+ * One lazily created ioredis client per serverless instance, reused across invocations
+ */
+
+const Redis = require('ioredis');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('redis');
+
+let client = null;
+
+function getRedisClient() {
+  if (!client) {
+    const { redisUrl } = getConfig();
+    if (!redisUrl) {
+      throw new Error('REDIS_URL is not configured');
+    }
+
+    client = new Redis(redisUrl, {
+      maxRetriesPerRequest: 2,
+      enableAutoPipelining: true
+    });
+
+    client.on('error', (error) => {
+      log.error('❌ Redis connection error', { reason: error.message });
+    });
+  }
+
+  return client;
+}
+
+module.exports = { getRedisClient };
@@ -0,0 +1,40 @@
+/**
+ * One-time Session Codes
+ * Mints the codes the app redeems for tokens at api/retrieve-session.js: the tokens are
+ * sealed under the code (lib/session-crypto.js) and bound to the app's PKCE code_challenge
+ * (lib/pkce.js), so only the app instance holding the verifier can redeem them.
+ *
+ * Used by api/create-secure-session.js (tokens from the callback page) and /verified
+ * (sessions from recovery and magic links verified server-side).
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getSessionStore } = require('./session-store');
+const { sealSession, storageKeyForCode } = require('./session-crypto');
+const { incrementCounter } = require('./metrics');
+
+/**
+ * Store tokens under a new session code.
+ * `tokens` is { access_token, refresh_token, expires_in, token_type, type }.
+ * Resolves { sessionCode, expiresAt }.
+ */
+async function createSessionCode({ tokens, codeChallenge, userId }) {
+  const { ttlMs } = getConfig().sessionCodes;
+  const sessionCode = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + ttlMs;
+
+  await getSessionStore().put(storageKeyForCode(sessionCode), {
+    sealed: sealSession(sessionCode, tokens),
+    code_challenge: codeChallenge,
+    user_id: userId,
+    expires_at: expiresAt
+  }, ttlMs);
+  await incrementCounter('manito_session_codes_created_total');
+
+  return { sessionCode, expiresAt };
+}
+
+module.exports = {
+  createSessionCode
+};
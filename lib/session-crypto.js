@@ -0,0 +1,86 @@
+/**
+ * Session Code Encryption
+ * Seals token payloads with AES-256-GCM before they reach the session code store.
+ *
+ * - The encryption key is derived (HKDF-SHA256) from the session code itself plus
+ *   SESSION_ENCRYPTION_SECRET, so neither a store dump nor the secret alone is enough
+ *   to recover tokens.
+ * - Entries are stored under a SHA-256 hash of the code, never the code itself.
+ * - The storage key is bound as additional authenticated data, so a sealed payload
+ *   can't be moved to another entry.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const SEAL_VERSION = 1;
+const HKDF_INFO = 'manito-session-code:v1';
+const IV_BYTES = 12;
+
+function getSecret() {
+  return getConfig().secrets.sessionEncryption;
+}
+
+function deriveKey(sessionCode) {
+  return Buffer.from(crypto.hkdfSync('sha256', sessionCode, getSecret(), HKDF_INFO, 32));
+}
+
+/**
+ * Store lookup key for a session code (the raw code never touches storage)
+ */
+function storageKeyForCode(sessionCode) {
+  return crypto.createHash('sha256').update(sessionCode).digest('hex');
+}
+
+/**
+ * Encrypt a JSON-serializable payload for the given session code
+ */
+function sealSession(sessionCode, payload) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(sessionCode), iv);
+  cipher.setAAD(Buffer.from(storageKeyForCode(sessionCode)));
+
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(payload), 'utf8'),
+    cipher.final()
+  ]);
+
+  return {
+    v: SEAL_VERSION,
+    iv: iv.toString('base64url'),
+    tag: cipher.getAuthTag().toString('base64url'),
+    ciphertext: ciphertext.toString('base64url')
+  };
+}
+
+/**
+ * Decrypt a sealed payload, verifying its authentication tag.
+ * Throws if the payload was tampered with or the code doesn't match.
+ */
+function openSession(sessionCode, sealed) {
+  if (!sealed || sealed.v !== SEAL_VERSION) {
+    throw new Error('Unsupported sealed session format');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(sessionCode),
+    Buffer.from(sealed.iv, 'base64url'),
+    { authTagLength: 16 } // Reject truncated tags
+  );
+  decipher.setAAD(Buffer.from(storageKeyForCode(sessionCode)));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64url'));
+
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(sealed.ciphertext, 'base64url')),
+    decipher.final()
+  ]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  storageKeyForCode,
+  sealSession,
+  openSession
+};
@@ -0,0 +1,63 @@
+/**
+ * Session Code Store
+ * Persistent storage for one-time session codes shared by create-secure-session
+ * and retrieve-session, which usually run on different serverless instances.
+ *
+ * Every backend implements:
+ *   put(code, record, ttlMs) - store a record that expires after ttlMs, replacing any
+ *                              existing record for the code
+ *   get(code)                - fetch without deleting; resolves null if missing/expired
+ *   take(code)               - atomically fetch AND delete; resolves null if missing/expired
+ *
+ * Backend selection (SESSION_STORE): 'redis' | 'supabase' | 'memory'
+ * When unset: redis if REDIS_URL is configured, else supabase (see lib/config.js).
+ */
+
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+const { createSupabaseStore } = require('./supabase');
+const { getConfig } = require('../config');
+const { createLogger } = require('../logger');
+
+const log = createLogger('session-store');
+
+let store = null;
+
+function createSessionStore(backend = getConfig().sessionCodes.store) {
+  switch (backend) {
+    case 'redis':
+      return createRedisStore();
+    case 'supabase':
+      return createSupabaseStore();
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown SESSION_STORE backend: ${backend}`);
+  }
+}
+
+/**
+ * Process-wide store instance (lazily created)
+ */
+function getSessionStore() {
+  if (!store) {
+    store = createSessionStore();
+    if (store.name === 'memory') {
+      log.warn('⚠️ Using in-memory session store - codes will not survive across instances');
+    }
+  }
+  return store;
+}
+
+/**
+ * Replace the process-wide store (tests)
+ */
+function setSessionStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  createSessionStore,
+  getSessionStore,
+  setSessionStore
+};
@@ -0,0 +1,45 @@
+/**
+ * In-memory session code store
+ * Process-local - only suitable for tests and single-instance local development
+ */
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  // Drop expired entries so the map doesn't grow without bound
+  function sweep(now) {
+    for (const [code, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(code);
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async put(code, record, ttlMs) {
+      const now = Date.now();
+      sweep(now);
+      entries.set(code, { record, expiresAt: now + ttlMs });
+    },
+
+    async get(code) {
+      const entry = entries.get(code);
+      return entry && entry.expiresAt > Date.now() ? entry.record : null;
+    },
+
+    // get + delete run in the same tick, so concurrent takes can't both succeed
+    async take(code) {
+      const entry = entries.get(code);
+      entries.delete(code);
+
+      if (!entry || entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return entry.record;
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,39 @@
+/**
+ * Redis session code store
+ * Entries expire through native key TTLs; redemption is an atomic GET+DEL script
+ */
+
+const { getRedisClient } = require('../redis');
+
+const KEY_PREFIX = 'manito:session-code:';
+
+// Runs atomically on the Redis server (works on versions without GETDEL)
+const TAKE_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if value then
+  redis.call('DEL', KEYS[1])
+end
+return value
+`;
+
+function createRedisStore(client = getRedisClient()) {
+  return {
+    name: 'redis',
+
+    async put(code, record, ttlMs) {
+      await client.set(KEY_PREFIX + code, JSON.stringify(record), 'PX', ttlMs);
+    },
+
+    async get(code) {
+      const value = await client.get(KEY_PREFIX + code);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async take(code) {
+      const value = await client.eval(TAKE_SCRIPT, 1, KEY_PREFIX + code);
+      return value ? JSON.parse(value) : null;
+    }
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,75 @@
+/**
+ * Supabase/Postgres session code store
+ * Backed by the `session_codes` table (see supabase/migrations)
+ * Redemption is a single DELETE ... RETURNING, so only one request can ever get the row
+ */
+
+const { getSupabaseAdmin } = require('../supabase');
+const { createLogger } = require('../logger');
+
+const log = createLogger('session-store');
+
+const TABLE = 'session_codes';
+
+function createSupabaseStore(client) {
+  const supabase = client || getSupabaseAdmin();
+
+  return {
+    name: 'supabase',
+
+    async put(code, record, ttlMs) {
+      // Replaces an existing row, like SET in the Redis and memory stores
+      const { error } = await supabase
+        .from(TABLE)
+        .upsert({
+          code,
+          payload: record,
+          expires_at: new Date(Date.now() + ttlMs).toISOString()
+        }, { onConflict: 'code' });
+
+      if (error) {
+        throw error;
+      }
+
+      // TTL expiry: remove rows that were never redeemed
+      const { error: cleanupError } = await supabase
+        .from(TABLE)
+        .delete()
+        .lt('expires_at', new Date().toISOString());
+
+      if (cleanupError) {
+        log.warn('⚠️ Failed to clean up expired session codes', { reason: cleanupError.message });
+      }
+    },
+
+    async get(code) {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select('payload')
+        .eq('code', code)
+        .gt('expires_at', new Date().toISOString())
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+      return data && data.length > 0 ? data[0].payload : null;
+    },
+
+    async take(code) {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .delete()
+        .eq('code', code)
+        .gt('expires_at', new Date().toISOString())
+        .select('payload');
+
+      if (error) {
+        throw error;
+      }
+      return data && data.length > 0 ? data[0].payload : null;
+    }
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,94 @@
+/**
+ * Cross-Device Signup Status
+ * Tells the app's "check your email" screen when the verification link was clicked,
+ * on any device, so it can move on to login by itself.
+ *
+ * - The signup flow gives the app a signup handle (lib/correlation-token.js) for the
+ *   correlation ID it puts in the verification link.
+ * - When auth-webhook.js records the signup, the webhook processor marks that correlation
+ *   ID verified here. The mark outlives the verification event, which /verified deletes.
+ * - api/signup-status.js reports the status, by long-poll or Server-Sent Events.
+ *
+ * Statuses: 'pending' | 'verified' | 'expired' (the link expired unverified)
+ * Marks live in the session code store under `signup-status:<correlation ID>` until the
+ * link would have expired.
+ */
+
+const { getSessionStore } = require('./session-store');
+
+const STATUS_POLL_INTERVAL_MS = 1000;
+const MIN_RECORD_TTL_MS = 15 * 60 * 1000;
+
+function statusKey(correlationId) {
+  return `signup-status:${correlationId}`;
+}
+
+/**
+ * Resolves after `ms`, or as soon as `signal` aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Mark a signup verified. `correlation` is the user's correlation token payload ({ cid, exp }).
+ */
+async function recordSignupVerified(correlation, { occurredAt, flow }) {
+  const ttlMs = Math.max(correlation.exp - Date.now(), MIN_RECORD_TTL_MS);
+  await getSessionStore().put(statusKey(correlation.cid), {
+    status: 'verified',
+    verified_at: occurredAt,
+    flow
+  }, ttlMs);
+}
+
+/**
+ * Current status for a verified signup handle payload ({ cid, exp }).
+ * Resolves { status, verified_at? }.
+ */
+async function getSignupStatus(handle) {
+  const record = await getSessionStore().get(statusKey(handle.cid));
+
+  if (record) {
+    return { status: 'verified', verified_at: record.verified_at };
+  }
+  return { status: handle.exp < Date.now() ? 'expired' : 'pending' };
+}
+
+/**
+ * Resolve the status as soon as it differs from `knownStatus`, or the current status once
+ * `timeoutMs` has passed. Stops early (resolving the current status) when `signal` aborts.
+ * With no time left it still yields to the event loop once, so a caller that keeps
+ * calling it can't starve timers (and the abort they trigger).
+ */
+async function waitForSignupStatus(handle, { knownStatus = 'pending', timeoutMs, signal } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let current = await getSignupStatus(handle);
+
+  if (!(timeoutMs > 0)) {
+    await sleep(0, signal);
+    return current;
+  }
+
+  while (current.status === knownStatus && Date.now() < deadline && !signal?.aborted) {
+    await sleep(Math.min(STATUS_POLL_INTERVAL_MS, Math.max(deadline - Date.now(), 0)), signal);
+    current = await getSignupStatus(handle);
+  }
+  return current;
+}
+
+module.exports = {
+  recordSignupVerified,
+  getSignupStatus,
+  waitForSignupStatus
+};
@@ -0,0 +1,19 @@
+/**
+ * Supabase Admin Client
+ * One service-role client per process, built from the validated config (lib/config.js).
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('./config');
+
+let client = null;
+
+function getSupabaseAdmin() {
+  if (!client) {
+    const { supabase } = getConfig();
+    client = createClient(supabase.url, supabase.serviceRoleKey);
+  }
+  return client;
+}
+
+module.exports = { getSupabaseAdmin };
@@ -0,0 +1,214 @@
+/**
+ * HTML Templates
+ * A small renderer for the pages served by the API (lib/templates/pages/*.html).
+ *
+ * Syntax:
+ *   {{ path.to.value }}     - escaped for where it appears (see below)
+ *   {{ t 'some.key' }}      - call a function from the data with literal/path arguments
+ *   {{{ trustedHtml }}}     - inserted as-is; only for markup the server built itself
+ *   {{> partialName }}      - include lib/templates/partials/<partialName>.html
+ *
+ * Escaping is decided when a template is compiled, from the markup around each tag:
+ *   inside <script>...</script> -> JS: a JSON literal safe to embed in a script block
+ *   inside a tag (attribute)    -> attribute escaping; javascript: URLs are neutralized
+ *   anywhere else               -> HTML text escaping
+ * Tags inside <style> are rejected - styles are static.
+ *
+ * Pages are wrapped in layout.html, which receives the page markup as `body`.
+ * Standalone documents (e.g. callback.html) are rendered with renderTemplate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = __dirname;
+const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const PARTIAL_PATTERN = /\{\{>\s*([\w-]+)\s*\}\}/g;
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction']);
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+}
+
+function escapeAttribute(value, attributeName) {
+  const text = String(value);
+  if (URL_ATTRIBUTES.has(attributeName) && /^\s*(javascript|vbscript|data):/i.test(text)) {
+    return 'about:invalid';
+  }
+  return escapeHtml(text);
+}
+
+/**
+ * Serialize a value as a JS literal that can't close the surrounding <script> block
+ */
+function escapeJs(value) {
+  return (JSON.stringify(value === undefined ? null : value) || 'null')
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * The escaping context at the end of `markup`
+ */
+function contextAt(markup) {
+  const lower = markup.toLowerCase();
+  const attributeContext = () => {
+    const attribute = /([\w-]+)\s*=\s*["']?[^"'<>]*$/.exec(markup);
+    return { type: 'attribute', attributeName: attribute ? attribute[1].toLowerCase() : null };
+  };
+
+  // Script and style bodies may contain '<' and '>' of their own, so check them first
+  for (const [element, type] of [['script', 'js'], ['style', 'style']]) {
+    const open = lower.lastIndexOf(`<${element}`);
+    if (open > lower.lastIndexOf(`</${element}`)) {
+      return lower.indexOf('>', open) === -1 ? attributeContext() : { type };
+    }
+  }
+
+  if (lower.lastIndexOf('<') > lower.lastIndexOf('>')) {
+    return attributeContext();
+  }
+  return { type: 'html' };
+}
+
+function readTemplate(relativePath) {
+  return fs.readFileSync(path.join(TEMPLATES_DIR, relativePath), 'utf8');
+}
+
+/**
+ * Inline {{> partial }} includes (partials may include other partials)
+ */
+function expandPartials(source, seen = []) {
+  return source.replace(PARTIAL_PATTERN, (match, name) => {
+    if (seen.includes(name)) {
+      throw new Error(`Recursive template partial: ${[...seen, name].join(' -> ')}`);
+    }
+    const partial = readTemplate(path.join('partials', `${name}.html`)).replace(/\n$/, '');
+    return expandPartials(partial, [...seen, name]);
+  });
+}
+
+function lookup(data, keyPath) {
+  return keyPath.split('.').reduce((node, part) => (node == null ? undefined : node[part]), data);
+}
+
+/**
+ * Compile `name arg 'literal'` into a function of the render data
+ */
+function compileExpression(expression, templateName) {
+  const [head, ...args] = expression.match(/'[^']*'|"[^"]*"|\S+/g) || [];
+  if (!head || !/^[\w.]+$/.test(head)) {
+    throw new Error(`Invalid template expression in ${templateName}: {{ ${expression} }}`);
+  }
+
+  const argumentGetters = args.map((arg) => {
+    if (/^(['"]).*\1$/.test(arg)) {
+      const literal = arg.slice(1, -1);
+      return () => literal;
+    }
+    return (data) => lookup(data, arg);
+  });
+
+  return (data) => {
+    const value = lookup(data, head);
+    if (typeof value === 'function') {
+      return value(...argumentGetters.map((get) => get(data)));
+    }
+    return value;
+  };
+}
+
+/**
+ * Compile template source into a render function
+ */
+function compile(source, templateName) {
+  const markup = expandPartials(source);
+  const parts = [];
+  let cursor = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(markup)) !== null) {
+    parts.push(markup.slice(cursor, match.index));
+    cursor = TAG_PATTERN.lastIndex;
+
+    const [, rawExpression, escapedExpression] = match;
+    const evaluate = compileExpression(rawExpression || escapedExpression, templateName);
+
+    if (rawExpression) {
+      parts.push((data) => {
+        const value = evaluate(data);
+        return value == null ? '' : String(value);
+      });
+      continue;
+    }
+
+    const context = contextAt(markup.slice(0, match.index));
+    switch (context.type) {
+      case 'js':
+        parts.push((data) => escapeJs(evaluate(data)));
+        break;
+      case 'attribute':
+        parts.push((data) => {
+          const value = evaluate(data);
+          return value == null ? '' : escapeAttribute(value, context.attributeName);
+        });
+        break;
+      case 'style':
+        throw new Error(`Template values are not allowed inside <style> (${templateName}: {{ ${escapedExpression} }})`);
+      default:
+        parts.push((data) => {
+          const value = evaluate(data);
+          return value == null ? '' : escapeHtml(value);
+        });
+    }
+  }
+  parts.push(markup.slice(cursor));
+
+  return (data = {}) => parts.map((part) => (typeof part === 'function' ? part(data) : part)).join('');
+}
+
+const cache = new Map();
+
+function getTemplate(relativePath) {
+  if (!cache.has(relativePath)) {
+    cache.set(relativePath, compile(readTemplate(relativePath), relativePath));
+  }
+  return cache.get(relativePath);
+}
+
+/**
+ * Render a standalone template, e.g. renderTemplate('callback.html', { nonce })
+ */
+function renderTemplate(relativePath, data = {}) {
+  return getTemplate(relativePath)(data);
+}
+
+/**
+ * Render lib/templates/pages/<page>.html inside the shared layout
+ */
+function renderPage(page, data = {}) {
+  const body = getTemplate(path.join('pages', `${page}.html`))(data);
+  return getTemplate('layout.html')({ ...data, body });
+}
+
+module.exports = {
+  compile,
+  renderTemplate,
+  renderPage,
+  escapeHtml,
+  escapeAttribute,
+  escapeJs
+};
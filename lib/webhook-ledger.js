@@ -0,0 +1,164 @@
+/**
+ * Webhook Event Ledger
+ * Durable record of every incoming webhook, keyed by its event ID (`webhook-id`).
+ *
+ * States:
+ *   received  - claimed by a delivery, side effects running
+ *   processed - every side effect completed; `result` is replayed to duplicates
+ *   failed    - at least one side effect failed; picked up by api/retry-webhook-events.js
+ *
+ * Backed by the `webhook_events` table (see supabase/migrations).
+ */
+
+const { getSupabaseAdmin } = require('./supabase');
+
+// Supabase admin client (validates config at cold start)
+const supabase = getSupabaseAdmin();
+
+const TABLE = 'webhook_events';
+const UNIQUE_VIOLATION = '23505';
+
+// Give up on an event after this many processing attempts
+const MAX_ATTEMPTS = 5;
+
+// A 'received' entry older than this is assumed to belong to a crashed invocation
+const STALE_RECEIVED_MS = 10 * 60 * 1000;
+
+/**
+ * Record a new webhook. Resolves { duplicate: false } when this delivery claimed the
+ * event, or { duplicate: true, entry } with the existing ledger row otherwise.
+ */
+async function recordWebhookReceived(id, eventType, payload) {
+  const { error } = await supabase
+    .from(TABLE)
+    .insert({
+      id,
+      event_type: eventType,
+      payload,
+      status: 'received',
+      attempts: 1
+    });
+
+  if (!error) {
+    return { duplicate: false };
+  }
+
+  if (error.code !== UNIQUE_VIOLATION) {
+    throw error;
+  }
+
+  const { data: entry, error: fetchError } = await supabase
+    .from(TABLE)
+    .select('id, status, result, side_effects, attempts')
+    .eq('id', id)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return { duplicate: true, entry };
+}
+
+/**
+ * Store the outcome of a processing attempt
+ */
+async function recordWebhookOutcome(id, { result, sideEffects, failed, error = null }) {
+  const now = new Date().toISOString();
+  const update = {
+    status: failed ? 'failed' : 'processed',
+    result,
+    last_error: error,
+    processed_at: failed ? null : now,
+    updated_at: now
+  };
+
+  // Keep the step outcomes of earlier attempts when this one crashed before reporting any
+  if (sideEffects) {
+    update.side_effects = sideEffects;
+  }
+
+  const { error: updateError } = await supabase
+    .from(TABLE)
+    .update(update)
+    .eq('id', id);
+
+  if (updateError) {
+    throw updateError;
+  }
+}
+
+/**
+ * Run one processing attempt for a claimed entry and record its outcome.
+ * `attempt` resolves { result, sideEffects, failed }; a throw is recorded as a failure and rethrown.
+ */
+async function runWebhookAttempt(id, attempt) {
+  let outcome;
+  try {
+    outcome = await attempt();
+  } catch (error) {
+    await recordWebhookOutcome(id, { result: null, failed: true, error: error.message || String(error) });
+    throw error;
+  }
+
+  const failedSteps = Object.entries(outcome.sideEffects)
+    .filter(([, step]) => step.status === 'failed')
+    .map(([name, step]) => `${name}: ${step.error}`);
+
+  await recordWebhookOutcome(id, {
+    ...outcome,
+    error: failedSteps.length > 0 ? failedSteps.join('; ') : null
+  });
+  return outcome;
+}
+
+/**
+ * Failed entries (and 'received' entries abandoned by a crash) that may be retried
+ */
+async function listRetryableWebhooks(limit = 20) {
+  const staleBefore = new Date(Date.now() - STALE_RECEIVED_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('id, event_type, payload, side_effects, attempts, status')
+    .or(`status.eq.failed,and(status.eq.received,updated_at.lt.${staleBefore})`)
+    .lt('attempts', MAX_ATTEMPTS)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Claim a retryable entry for another attempt. The attempts compare-and-set means two
+ * concurrent retry runs can't both process the same event.
+ */
+async function claimWebhookRetry(entry) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({
+      status: 'received',
+      attempts: entry.attempts + 1,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', entry.id)
+    .eq('attempts', entry.attempts)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+  return !!(data && data.length > 0);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  recordWebhookReceived,
+  recordWebhookOutcome,
+  runWebhookAttempt,
+  listRetryableWebhooks,
+  claimWebhookRetry
+};
@@ -0,0 +1,429 @@
+/**
+ * Supabase Auth Webhook Processor
+ * Normalizes a verified webhook payload into AuthEvents (lib/auth-events) and
+ * dispatches them to the handlers below: profile creation, provider profile
+ * creation, profile email sync, verification event storage and the cross-device
+ * signup status.
+ *
+ * Every side effect is an idempotent, named step. Step outcomes are returned so the
+ * webhook ledger can record them, and a later retry (api/retry-webhook-events.js)
+ * skips the steps that already completed.
+ */
+
+const { correlationFromUser } = require('./correlation-token');
+const { AUTH_FLOWS } = require('./auth-flows');
+const { createDispatcher, normalizeAuthEvents } = require('./auth-events');
+const { getSupabaseAdmin } = require('./supabase');
+const { getConfig } = require('./config');
+const { localeFromUser } = require('./i18n');
+const { createLogger } = require('./logger');
+const { incrementCounter } = require('./metrics');
+const { recordSignupVerified } = require('./signup-status');
+
+// Supabase admin client (validates config at cold start)
+const supabase = getSupabaseAdmin();
+
+const log = createLogger('webhook-processor');
+
+// Postgres unique_violation - another delivery already created the row
+const UNIQUE_VIOLATION = '23505';
+
+// Metric label values for user types (anything else in metadata is counted as 'other')
+const KNOWN_USER_TYPES = ['customer', 'provider'];
+
+/**
+ * Create user profile AFTER email verification (security fix)
+ * This ensures only verified users get profiles in the system
+ */
+async function createProfileAfterVerification(user, userType) {
+  log.info('🔒 Creating profile after verification', { userId: user.id });
+
+  // Check if profile already exists
+  const { data: existingProfile, error: checkError } = await supabase
+    .from('users')
+    .select('id')
+    .eq('id', user.id)
+    .single();
+
+  if (existingProfile) {
+    log.info('✅ Profile already exists for verified user', { userId: user.id });
+    return;
+  }
+
+  if (checkError && checkError.code !== 'PGRST116') {
+    log.error('❌ Error checking existing profile', { userId: user.id, error: checkError });
+    throw checkError;
+  }
+
+  // Create user profile from auth metadata
+  const profileData = {
+    id: user.id,
+    email: user.email,
+    full_name: user.user_metadata?.full_name || user.raw_user_meta_data?.full_name,
+    user_type: userType,
+    phone_number: user.user_metadata?.phone_number || user.raw_user_meta_data?.phone_number || null,
+    display_name: user.user_metadata?.display_name || user.raw_user_meta_data?.display_name,
+    is_verified: true, // Email just verified
+    email_verified_at: user.email_confirmed_at,
+    onboarding_completed: false,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    last_seen_at: new Date().toISOString(),
+    // Chilean fields
+    nombres: user.user_metadata?.nombres || user.raw_user_meta_data?.nombres || null,
+    apellidos: user.user_metadata?.apellidos || user.raw_user_meta_data?.apellidos || null,
+  };
+
+  log.info('📝 Creating verified user profile', {
+    userId: user.id,
+    userType: userType,
+    hasFullName: !!profileData.full_name
+  });
+
+  const { error: profileError } = await supabase
+    .from('users')
+    .insert(profileData);
+
+  if (profileError && profileError.code === UNIQUE_VIOLATION) {
+    log.info('✅ Profile was created concurrently by another delivery', { userId: user.id });
+    return;
+  }
+
+  if (profileError) {
+    log.error('❌ Failed to create user profile after verification', { userId: user.id, error: profileError });
+    throw profileError;
+  }
+
+  log.info('✅ User profile created successfully after verification', { userId: user.id });
+  await incrementCounter('manito_profiles_created_total', {
+    user_type: KNOWN_USER_TYPES.includes(userType) ? userType : 'other'
+  });
+}
+
+/**
+ * Create provider profile if missing (STACK OVERFLOW FIX)
+ * Throws when every method fails so the step can be retried later
+ */
+async function ensureProviderProfile(user) {
+  const { data: existingProviderProfile, error: checkError } = await supabase
+    .from('provider_profiles')
+    .select('user_id')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (checkError) {
+    throw checkError;
+  }
+
+  if (existingProviderProfile) {
+    log.info('✅ Provider profile already exists for verified user', { userId: user.id });
+    return;
+  }
+
+  log.info('👨‍💼 Creating provider profile for verified user (recursion-safe)', { userId: user.id });
+
+  try {
+    // METHOD 1: Try using custom RPC function (bypasses triggers)
+    const { data: rpcResult, error: rpcError } = await supabase
+      .rpc('create_provider_profile_webhook_safe', {
+        p_user_id: user.id,
+        p_description: 'Proveedor de servicios profesionales en Chile'
+      });
+
+    if (!rpcError) {
+      log.info('✅ Provider profile created via safe RPC function', { userId: user.id, result: rpcResult });
+      return;
+    }
+
+    log.warn('⚠️ RPC function not available, using fallback method', { reason: rpcError.message });
+
+    // METHOD 2: Fallback - use raw SQL to bypass triggers
+    const { error: sqlError } = await supabase
+      .from('provider_profiles')
+      .insert({
+        user_id: user.id,
+        business_name: null,
+        description: 'Proveedor de servicios profesionales en Chile',
+        verification_status: 'pending',
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+
+    if (sqlError && sqlError.code !== UNIQUE_VIOLATION) {
+      log.error('❌ Both RPC and fallback failed for provider profile', { userId: user.id, error: sqlError });
+      throw sqlError;
+    }
+
+    log.info('✅ Provider profile created via fallback method', { userId: user.id });
+
+  } catch (recursionError) {
+    log.error('🚫 Provider profile creation failed', { userId: user.id, reason: recursionError.message });
+
+    // Log the specific error for debugging
+    if (recursionError.message?.includes('stack depth limit exceeded') ||
+        recursionError.message?.includes('maximum recursion depth exceeded')) {
+      log.error('🔄 CONFIRMED: Trigger recursion detected in provider profile creation', {
+        solution: 'Database triggers need recursion fix via targeted_rls_fix.sql'
+      });
+    }
+
+    // User profile exists - the ledger marks this step failed so it can be retried later
+    throw recursionError;
+  }
+}
+
+/**
+ * IMPROVED USER TYPE EXTRACTION: Try multiple metadata sources
+ */
+async function extractUserType(user) {
+  // Method 1: Check user_metadata (primary)
+  if (user.user_metadata?.user_type) {
+    log.debug('User type from user_metadata', { userType: user.user_metadata.user_type });
+    return user.user_metadata.user_type;
+  }
+  // Method 2: Check raw_user_meta_data (alternative)
+  if (user.raw_user_meta_data?.user_type) {
+    log.debug('User type from raw_user_meta_data', { userType: user.raw_user_meta_data.user_type });
+    return user.raw_user_meta_data.user_type;
+  }
+  // Method 3: Check app_metadata (admin set)
+  if (user.app_metadata?.user_type) {
+    log.debug('User type from app_metadata', { userType: user.app_metadata.user_type });
+    return user.app_metadata.user_type;
+  }
+
+  // Method 4: Query database for user_type (fallback)
+  log.debug('No user_type in metadata, querying database', { userId: user.id });
+  try {
+    const { data: dbUser, error } = await supabase
+      .from('users')
+      .select('user_type')
+      .eq('id', user.id)
+      .single();
+
+    if (!error && dbUser?.user_type) {
+      log.debug('User type from database query', { userType: dbUser.user_type });
+      return dbUser.user_type;
+    }
+  } catch (queryError) {
+    log.warn('⚠️ User type query failed, using default', { reason: queryError.message });
+  }
+
+  return 'customer'; // Default fallback
+}
+
+/**
+ * Store verification event for device-agnostic retrieval
+ * Keyed by the webhook event ID so redeliveries never add a second row
+ */
+async function storeVerificationEvent(authEvent, userType, webhookEventId) {
+  const { user } = authEvent;
+
+  // Bind the event to the link the user clicked (see lib/correlation-token.js)
+  const correlationId = correlationFromUser(user)?.cid || null;
+  if (!correlationId) {
+    log.warn('⚠️ No valid correlation token in user metadata - event cannot be resolved by /verified', { userId: user.id });
+  }
+
+  const verificationEvent = {
+    user_id: user.id,
+    webhook_event_id: webhookEventId,
+    correlation_id: correlationId,
+    user_email: user.email,
+    verified_at: authEvent.occurredAt,
+    event_type: authEvent.kind,
+    metadata: {
+      user_type: userType,
+      full_name: user.user_metadata?.full_name || user.raw_user_meta_data?.full_name || user.email.split('@')[0],
+      verification_method: authEvent.source,
+      flow: authEvent.flow,
+      locale: localeFromUser(user),
+      metadata_sources_checked: {
+        user_metadata: !!user.user_metadata?.user_type,
+        raw_user_meta_data: !!user.raw_user_meta_data?.user_type,
+        app_metadata: !!user.app_metadata?.user_type,
+        database_query: userType !== 'customer' || (!user.user_metadata?.user_type && !user.raw_user_meta_data?.user_type && !user.app_metadata?.user_type)
+      }
+    },
+    expires_at: new Date(Date.now() + getConfig().verification.eventTtlMs).toISOString()
+  };
+
+  const { error: insertError } = await supabase
+    .from('verification_events')
+    .upsert(verificationEvent, { onConflict: 'webhook_event_id', ignoreDuplicates: true });
+
+  if (insertError) {
+    log.error('❌ Failed to store verification event', { userId: user.id, error: insertError });
+    throw insertError;
+  }
+
+  log.info('📝 Verification event stored successfully', { userId: user.id, webhookEventId });
+
+  // OPTIONAL: Clean up old verification events (older than 1 hour)
+  await supabase
+    .from('verification_events')
+    .delete()
+    .lt('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString());
+}
+
+/**
+ * Keep the public profile's email in sync after an email change is confirmed
+ */
+async function syncProfileEmail(user) {
+  const { error } = await supabase
+    .from('users')
+    .update({ email: user.email, updated_at: new Date().toISOString() })
+    .eq('id', user.id);
+
+  if (error) {
+    log.error('❌ Failed to sync profile email after email change', { userId: user.id, error });
+    throw error;
+  }
+
+  log.info('✅ Profile email updated after email change', { userId: user.id });
+}
+
+/**
+ * Handler for 'email_verified' and 'invite_accepted': run the verification side
+ * effects for one user, skipping steps a previous attempt already completed
+ */
+async function handleEmailVerified(authEvent, { webhookEventId, sideEffects }) {
+  const { user } = authEvent;
+  log.info('✅ Email verification detected', { flow: authEvent.flow, userId: user.id });
+
+  // Which metadata sources are present - their values (names, phone numbers) stay out of the logs
+  log.debug('User metadata sources', {
+    userId: user.id,
+    userMetadataKeys: Object.keys(user.user_metadata || {}),
+    rawMetadataKeys: Object.keys(user.raw_user_meta_data || {}),
+    appMetadataKeys: Object.keys(user.app_metadata || {})
+  });
+
+  const userType = await extractUserType(user);
+  log.info('🎯 Final extracted user_type', { userId: user.id, userType });
+
+  // SECURITY FIX: Create user profile AFTER email verification
+  const profileReady = await runStep('profile', sideEffects, () =>
+    createProfileAfterVerification(user, userType)
+  );
+
+  // Provider profile needs the user profile row to exist first
+  if (userType === 'provider' && profileReady) {
+    await runStep('provider_profile', sideEffects, () => ensureProviderProfile(user));
+  }
+
+  // Continue with verification event storage even if profile creation failed
+  await runStep('verification_event', sideEffects, () =>
+    storeVerificationEvent(authEvent, userType, webhookEventId)
+  );
+}
+
+/**
+ * Handler for 'email_changed': sync the profile, then record the event for /verified
+ */
+async function handleEmailChanged(authEvent, { webhookEventId, sideEffects }) {
+  const { user } = authEvent;
+  log.info('✅ Email change confirmed', { userId: user.id });
+
+  await runStep('profile_email', sideEffects, () => syncProfileEmail(user));
+
+  const userType = await extractUserType(user);
+  await runStep('verification_event', sideEffects, () =>
+    storeVerificationEvent(authEvent, userType, webhookEventId)
+  );
+}
+
+/**
+ * Handler for 'password_recovery' and 'magic_link_login': the account already
+ * exists, so only the verification event is recorded for /verified
+ */
+async function handleLinkUsed(authEvent, { webhookEventId, sideEffects }) {
+  const { user } = authEvent;
+  log.info('✅ Link used', { flow: authEvent.flow, userId: user.id });
+
+  const userType = await extractUserType(user);
+  await runStep('verification_event', sideEffects, () =>
+    storeVerificationEvent(authEvent, userType, webhookEventId)
+  );
+}
+
+/**
+ * Handler for 'email_verified': tell the app waiting on this signup (lib/signup-status.js)
+ */
+async function handleSignupStatus(authEvent, { sideEffects }) {
+  const correlation = correlationFromUser(authEvent.user);
+  if (!correlation) {
+    log.warn('⚠️ No valid correlation token - the app waiting on this signup will not be notified', {
+      userId: authEvent.userId
+    });
+    return;
+  }
+
+  await runStep('signup_status', sideEffects, () =>
+    recordSignupVerified(correlation, { occurredAt: authEvent.occurredAt, flow: authEvent.flow })
+  );
+}
+
+/**
+ * Run one named side effect unless it already completed. Resolves true when the step is done.
+ */
+async function runStep(name, sideEffects, fn) {
+  if (sideEffects[name]?.status === 'done') {
+    log.info('⏭️ Skipping already completed step', { step: name });
+    return true;
+  }
+
+  try {
+    await fn();
+    sideEffects[name] = { status: 'done' };
+    return true;
+  } catch (error) {
+    log.error('❌ Webhook step failed', { step: name, error });
+    sideEffects[name] = { status: 'failed', error: error.message || String(error) };
+    return false;
+  }
+}
+
+// Auth event subscriptions
+const dispatcher = createDispatcher()
+  .on(AUTH_FLOWS.signup.kind, handleEmailVerified)
+  .on(AUTH_FLOWS.signup.kind, handleSignupStatus)
+  .on(AUTH_FLOWS.invite.kind, handleEmailVerified)
+  .on(AUTH_FLOWS.email_change.kind, handleEmailChanged)
+  .on(AUTH_FLOWS.recovery.kind, handleLinkUsed)
+  .on(AUTH_FLOWS.magiclink.kind, handleLinkUsed);
+
+/**
+ * Process a parsed webhook payload.
+ * Returns { result, sideEffects, failed } - failed is true when any step needs a retry.
+ */
+async function processWebhookEvent(payload, { webhookEventId, previousSideEffects = {} }) {
+  const sideEffects = { ...previousSideEffects };
+  const authEvents = normalizeAuthEvents(payload);
+
+  if (authEvents.length === 0) {
+    log.info('ℹ️ No supported auth events in webhook payload', { type: payload?.type });
+  }
+
+  for (const authEvent of authEvents) {
+    log.info('📨 Dispatching auth event', {
+      kind: authEvent.kind,
+      flow: authEvent.flow,
+      source: authEvent.source,
+      userId: authEvent.userId
+    });
+    await dispatcher.dispatch(authEvent, { webhookEventId, sideEffects });
+  }
+
+  return {
+    result: {
+      success: true,
+      message: 'Webhook processed successfully',
+      eventType: payload.type
+    },
+    sideEffects,
+    failed: Object.values(sideEffects).some((step) => step.status === 'failed')
+  };
+}
+
+module.exports = { processWebhookEvent };
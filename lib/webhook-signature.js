@@ -0,0 +1,90 @@
+/**
+ * Standard Webhooks signature verification (used by Supabase auth hooks)
+ * https://www.standardwebhooks.com
+ *
+ * - Signed content is `${webhook-id}.${webhook-timestamp}.${raw body}`
+ * - `webhook-signature` holds one or more space-separated `v1,<base64 HMAC-SHA256>` entries
+ * - Secrets look like `v1,whsec_<base64 key>` (both prefixes optional)
+ * - Timestamps outside the tolerance window are rejected to limit replays; replays inside
+ *   it are caught by the webhook ledger (lib/webhook-ledger.js), keyed by `webhook-id`
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+class WebhookVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+  }
+}
+
+function decodeSecret(secret) {
+  const key = secret.replace(/^v1,/, '').replace(/^whsec_/, '');
+  return Buffer.from(key, 'base64');
+}
+
+function headerValue(headers, name) {
+  const value = headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Verify a webhook request against its raw body.
+ * Returns { id, timestamp } on success, throws WebhookVerificationError otherwise.
+ */
+function verifyWebhookSignature(rawBody, headers, {
+  secret,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) {
+  if (!secret) {
+    throw new WebhookVerificationError('Webhook secret is not configured');
+  }
+
+  const id = headerValue(headers, 'webhook-id');
+  const timestampHeader = headerValue(headers, 'webhook-timestamp');
+  const signatureHeader = headerValue(headers, 'webhook-signature');
+
+  if (!id || !timestampHeader || !signatureHeader) {
+    throw new WebhookVerificationError('Missing webhook signature headers');
+  }
+
+  const timestamp = Number.parseInt(timestampHeader, 10);
+  if (!Number.isFinite(timestamp)) {
+    throw new WebhookVerificationError('Invalid webhook timestamp');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (Math.abs(nowSeconds - timestamp) > toleranceSeconds) {
+    throw new WebhookVerificationError('Webhook timestamp outside tolerance window');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', decodeSecret(secret))
+    .update(`${id}.${timestamp}.`)
+    .update(rawBody)
+    .digest();
+
+  const matches = signatureHeader.split(' ').some((entry) => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) {
+      return false;
+    }
+
+    const received = Buffer.from(signature, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  if (!matches) {
+    throw new WebhookVerificationError('Invalid webhook signature');
+  }
+
+  return { id, timestamp };
+}
+
+module.exports = {
+  WebhookVerificationError,
+  verifyWebhookSignature
+};
@@ -0,0 +1,78 @@
+// Browser side of lib/i18n: locale negotiation and translation for the callback page
+// Catalogs come from the generated public/messages.js (same keys as the server pages).
+// Precedence: ?lang= override, the user's metadata locale (access token), browser languages.
+(function() {
+    const messages = window.MANITO_MESSAGES || { defaultLocale: 'es-CL', locales: {} };
+    const supported = Object.keys(messages.locales);
+
+    function matchLocale(tag) {
+        if (typeof tag !== 'string' || !tag) {
+            return null;
+        }
+        const normalized = tag.trim().replace('_', '-').toLowerCase();
+        const exact = supported.find((locale) => locale.toLowerCase() === normalized);
+        if (exact) {
+            return exact;
+        }
+        const language = normalized.split('-')[0];
+        return supported.find((locale) => locale.toLowerCase().split('-')[0] === language) || null;
+    }
+
+    // user_metadata.locale from the access token in the URL (read before the page strips it)
+    function metadataLocale() {
+        try {
+            const accessToken = new URLSearchParams(window.location.search).get('access_token');
+            if (!accessToken) {
+                return null;
+            }
+            const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(decodeURIComponent(escape(atob(payload))));
+            return (claims.user_metadata && claims.user_metadata.locale) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function negotiateLocale() {
+        const candidates = [
+            new URLSearchParams(window.location.search).get('lang'),
+            metadataLocale(),
+            ...(navigator.languages || [navigator.language])
+        ];
+        for (const candidate of candidates) {
+            const locale = matchLocale(candidate);
+            if (locale) {
+                return locale;
+            }
+        }
+        return messages.defaultLocale;
+    }
+
+    function lookup(catalog, key) {
+        return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+    }
+
+    const locale = negotiateLocale();
+
+    function t(key, params) {
+        let message = lookup(messages.locales[locale], key);
+        if (typeof message !== 'string') {
+            message = lookup(messages.locales[messages.defaultLocale], key);
+        }
+        if (typeof message !== 'string') {
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params && params[name] != null ? String(params[name]) : match);
+    }
+
+    // Translate every element marked with data-i18n="<key>"
+    function apply(root) {
+        document.documentElement.lang = locale;
+        (root || document).querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = t(element.getAttribute('data-i18n'));
+        });
+    }
+
+    window.ManitoI18n = { locale, t, apply };
+})();
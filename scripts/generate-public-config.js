@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Generate public/config.js (window.MANITO_CONFIG) from lib/config.js, and
+ * public/messages.js (window.MANITO_MESSAGES) from the lib/i18n catalogs.
+ * Runs as the Vercel build step, so each deployment ships the browser config for its
+ * own environment. Fails the build when a public variable is missing or invalid.
+ *
+ * Usage: node scripts/generate-public-config.js [--env development|staging|production]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError, loadPublicConfig, toBrowserConfig } = require('../lib/config');
+const { CATALOGS, DEFAULT_LOCALE } = require('../lib/i18n');
+
+const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'config.js');
+const MESSAGES_PATH = path.join(__dirname, '..', 'public', 'messages.js');
+
+function main() {
+  const envFlag = process.argv.indexOf('--env');
+  const env = envFlag !== -1 ? { ...process.env, APP_ENV: process.argv[envFlag + 1] } : process.env;
+
+  let settings;
+  try {
+    settings = loadPublicConfig(env);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  const contents = [
+    '// GENERATED by scripts/generate-public-config.js - do not edit by hand.',
+    `// Environment: ${settings.environment}`,
+    `window.MANITO_CONFIG = ${JSON.stringify(toBrowserConfig(settings), null, 2)};`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(OUTPUT_PATH, contents);
+  console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT_PATH)} (${settings.environment})`);
+
+  const messages = [
+    '// GENERATED by scripts/generate-public-config.js from lib/i18n/locales - do not edit by hand.',
+    `window.MANITO_MESSAGES = ${JSON.stringify({ defaultLocale: DEFAULT_LOCALE, locales: CATALOGS }, null, 2)};`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(MESSAGES_PATH, messages);
+  console.log(`✅ Wrote ${path.relative(process.cwd(), MESSAGES_PATH)} (${Object.keys(CATALOGS).join(', ')})`);
+}
+
+main();
@@ -0,0 +1,9 @@
+-- Bind verification events to the link that produced them.
+-- correlation_id is the `cid` of the signed token carried by the verification
+-- redirect (see lib/correlation-token.js); /verified resolves events by it.
+
+alter table public.verification_events
+  add column if not exists correlation_id text;
+
+create index if not exists verification_events_correlation_id_idx
+  on public.verification_events (correlation_id);
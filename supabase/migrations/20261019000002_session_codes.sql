@@ -0,0 +1,15 @@
+-- One-time session codes for the secure session exchange
+-- (create-secure-session / retrieve-session, SESSION_STORE=supabase).
+-- Only reachable with the service role key.
+
+create table if not exists public.session_codes (
+  code text primary key,
+  payload jsonb not null,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists session_codes_expires_at_idx
+  on public.session_codes (expires_at);
+
+alter table public.session_codes enable row level security;
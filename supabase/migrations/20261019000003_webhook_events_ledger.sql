@@ -0,0 +1,30 @@
+-- Durable ledger of incoming auth webhooks (lib/webhook-ledger.js).
+-- id is the Standard Webhooks `webhook-id`, so redeliveries hit the primary key.
+
+create table if not exists public.webhook_events (
+  id text primary key,
+  event_type text,
+  payload jsonb not null,
+  status text not null default 'received'
+    check (status in ('received', 'processed', 'failed')),
+  result jsonb,
+  side_effects jsonb not null default '{}'::jsonb,
+  last_error text,
+  attempts integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists webhook_events_retry_idx
+  on public.webhook_events (status, created_at)
+  where status in ('received', 'failed');
+
+alter table public.webhook_events enable row level security;
+
+-- One verification event per webhook, however often it is delivered
+alter table public.verification_events
+  add column if not exists webhook_event_id text;
+
+create unique index if not exists verification_events_webhook_event_id_key
+  on public.verification_events (webhook_event_id);
@@ -0,0 +1,148 @@
+require('./setup-env');
+
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret';
+
+const crypto = require('crypto');
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabaseJs = require('@supabase/supabase-js');
+
+const USER_ID = '4f8c2a9e-1b3d-4c5e-8f7a-9b0c1d2e3f40';
+const users = new Map();
+
+// The admin client's user lookup, for the email-confirmed check
+mock.method(supabaseJs, 'createClient', () => ({
+  auth: {
+    admin: {
+      async getUserById(id) {
+        const user = users.get(id);
+        return user ? { data: { user }, error: null } : { data: { user: null }, error: { message: 'User not found' } };
+      }
+    }
+  }
+}));
+
+const { AccessTokenError, verifyAccessToken } = require('../lib/access-token');
+
+const ISSUER = 'https://example.supabase.co/auth/v1';
+const signingKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwks = { keys: [{ ...signingKey.publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'ES256', use: 'sig' }] };
+
+const jwksRequests = [];
+mock.method(globalThis, 'fetch', async (url) => {
+  jwksRequests.push(String(url));
+  return { ok: true, status: 200, json: async () => jwks };
+});
+
+function encode(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function validClaims(overrides = {}) {
+  return {
+    iss: ISSUER,
+    aud: 'authenticated',
+    sub: USER_ID,
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...overrides
+  };
+}
+
+function hs256(claims = validClaims(), header = { alg: 'HS256', typ: 'JWT' }) {
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', 'test-jwt-secret').update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function es256(claims = validClaims(), kid = 'key-1') {
+  const signingInput = `${encode({ alg: 'ES256', typ: 'JWT', kid })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: signingKey.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  }).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+async function rejectsWith(token, reason) {
+  await assert.rejects(verifyAccessToken(token), (error) => {
+    assert.ok(error instanceof AccessTokenError, `expected AccessTokenError, got ${error}`);
+    assert.equal(error.message, reason);
+    return true;
+  });
+}
+
+describe('access tokens', () => {
+  beforeEach(() => {
+    users.set(USER_ID, { id: USER_ID, email: 'ana@example.com', email_confirmed_at: '2026-01-01T00:00:00Z' });
+  });
+
+  it('accepts a valid HS256 token for a confirmed user', async () => {
+    const { userId, email } = await verifyAccessToken(hs256());
+    assert.equal(userId, USER_ID);
+    assert.equal(email, 'ana@example.com');
+  });
+
+  it('accepts a valid ES256 token signed with a JWKS key', async () => {
+    assert.equal((await verifyAccessToken(es256())).userId, USER_ID);
+  });
+
+  describe('malformed tokens', () => {
+    it('rejects tokens that are not three segments', async () => {
+      await rejectsWith('not-a-token', 'Malformed token');
+      await rejectsWith(undefined, 'Malformed token');
+    });
+
+    it('rejects headers and claims that are not JSON objects', async () => {
+      const signature = 'c2lnbmF0dXJl';
+      for (const segment of ['null', '42', '"HS256"', '[]', 'not json']) {
+        await rejectsWith(`${encode(segment)}.${encode(validClaims())}.${signature}`, 'Malformed token');
+        await rejectsWith(`${encode({ alg: 'HS256' })}.${encode(segment)}.${signature}`, 'Malformed token');
+      }
+    });
+
+    it('rejects unsupported algorithms, including inherited property names', async () => {
+      for (const alg of ['none', 'HS512', '__proto__', 'toString', undefined]) {
+        await rejectsWith(hs256(validClaims(), { alg }), 'Unsupported token algorithm');
+      }
+    });
+  });
+
+  it('rejects a bad signature', async () => {
+    const [header, payload] = hs256().split('.');
+    await rejectsWith(`${header}.${payload}.${encode('forged')}`, 'Invalid signature');
+  });
+
+  it('checks iss, aud, exp and sub', async () => {
+    await rejectsWith(hs256(validClaims({ iss: 'https://evil.example/auth/v1' })), 'Unexpected issuer');
+    await rejectsWith(hs256(validClaims({ aud: 'anon' })), 'Unexpected audience');
+    await rejectsWith(hs256(validClaims({ exp: Math.floor(Date.now() / 1000) - 1 })), 'Token expired');
+    await rejectsWith(hs256(validClaims({ sub: 'not-a-uuid' })), 'Missing or invalid subject');
+  });
+
+  it('requires a confirmed email', async () => {
+    users.set(USER_ID, { id: USER_ID, email: 'ana@example.com', email_confirmed_at: null });
+    await rejectsWith(hs256(), 'Email not confirmed');
+
+    users.delete(USER_ID);
+    await rejectsWith(hs256(), 'User not found');
+  });
+
+  it('refetches the JWKS for unknown keys at most once a minute', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 5 * 60 * 1000 });
+    jwksRequests.length = 0;
+
+    await rejectsWith(es256(validClaims(), 'unknown-1'), 'Unknown signing key');
+    await rejectsWith(es256(validClaims(), 'unknown-2'), 'Unknown signing key');
+    await rejectsWith(es256(validClaims(), 'unknown-3'), 'Unknown signing key');
+    assert.equal(jwksRequests.length, 1);
+    assert.equal(jwksRequests[0], `${ISSUER}/.well-known/jwks.json`);
+
+    // Known keys keep working from the cache
+    assert.equal((await verifyAccessToken(es256())).userId, USER_ID);
+    assert.equal(jwksRequests.length, 1);
+
+    t.mock.timers.setTime(Date.now() + 61 * 1000);
+    await rejectsWith(es256(validClaims(), 'unknown-4'), 'Unknown signing key');
+    assert.equal(jwksRequests.length, 2);
+  });
+});
@@ -0,0 +1,135 @@
+require('./setup-env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDispatcher, normalizeAuthEvents } = require('../lib/auth-events');
+const { mintCorrelationToken } = require('../lib/correlation-token');
+
+const CONFIRMED_AT = '2026-01-01T12:00:00.000Z';
+
+function user(overrides = {}) {
+  return { id: 'user-1', email: 'ana@example.com', email_confirmed_at: null, updated_at: CONFIRMED_AT, ...overrides };
+}
+
+function databaseUpdate(record, oldRecord) {
+  return { type: 'UPDATE', table: 'users', schema: 'auth', record, old_record: oldRecord };
+}
+
+describe('auth events', () => {
+  describe('normalizeAuthEvents', () => {
+    it('turns a database trigger confirmation into an email_verified event', () => {
+      const record = user({ email_confirmed_at: CONFIRMED_AT });
+      const [event, ...rest] = normalizeAuthEvents(databaseUpdate(record, user()));
+
+      assert.deepEqual(rest, []);
+      assert.deepEqual(event, {
+        kind: 'email_verified',
+        flow: 'signup',
+        user: record,
+        previousUser: user(),
+        occurredAt: CONFIRMED_AT,
+        source: 'database_trigger',
+        payloadType: 'UPDATE',
+        userId: 'user-1',
+        email: 'ana@example.com'
+      });
+    });
+
+    it('produces the same event from the auth hook format', () => {
+      const record = user({ email_confirmed_at: CONFIRMED_AT });
+      const [fromTrigger] = normalizeAuthEvents(databaseUpdate(record, user()));
+      const [fromHook] = normalizeAuthEvents({ type: 'auth.user.updated', user: record });
+
+      assert.equal(fromHook.source, 'auth_webhook');
+      for (const field of ['kind', 'flow', 'occurredAt', 'userId', 'email']) {
+        assert.equal(fromHook[field], fromTrigger[field], field);
+      }
+    });
+
+    it('detects invites, email changes and used recovery tokens', () => {
+      const invited = normalizeAuthEvents(databaseUpdate(
+        user({ email_confirmed_at: CONFIRMED_AT, invited_at: CONFIRMED_AT }),
+        user({ invited_at: CONFIRMED_AT })
+      ));
+      assert.equal(invited[0].kind, 'invite_accepted');
+
+      const confirmed = { email_confirmed_at: CONFIRMED_AT };
+      const changed = normalizeAuthEvents(databaseUpdate(
+        user({ ...confirmed, email: 'ana@new.example' }),
+        user({ ...confirmed, email_change: 'ana@new.example' })
+      ));
+      assert.equal(changed[0].kind, 'email_changed');
+
+      const recovered = normalizeAuthEvents(databaseUpdate(
+        user(confirmed),
+        user({ ...confirmed, recovery_token: 'hashed-token' })
+      ));
+      assert.equal(recovered[0].kind, 'password_recovery');
+    });
+
+    it('tells magic links from recovery by the correlation token flow', () => {
+      const { token } = mintCorrelationToken({ flow: 'magiclink' });
+      const metadata = { email_confirmed_at: CONFIRMED_AT, raw_user_meta_data: { verification_correlation_token: token } };
+
+      const [event] = normalizeAuthEvents(databaseUpdate(
+        user(metadata),
+        user({ ...metadata, recovery_token: 'hashed-token' })
+      ));
+      assert.equal(event.kind, 'magic_link_login');
+      assert.equal(event.flow, 'magiclink');
+    });
+
+    it('ignores unsupported and uninteresting payloads', () => {
+      const confirmed = user({ email_confirmed_at: CONFIRMED_AT });
+
+      assert.deepEqual(normalizeAuthEvents({ type: 'INSERT', table: 'users', record: user() }), []);
+      assert.deepEqual(normalizeAuthEvents({ type: 'UPDATE', table: 'profiles', record: confirmed }), []);
+      assert.deepEqual(normalizeAuthEvents(databaseUpdate(confirmed, confirmed)), []);
+      assert.deepEqual(normalizeAuthEvents({ type: 'auth.user.updated', user: user() }), []);
+      assert.deepEqual(normalizeAuthEvents({}), []);
+    });
+
+    it('takes adapters for new payload formats', () => {
+      const adapter = {
+        name: 'custom',
+        matches: (payload) => payload.type === 'custom.confirmed',
+        toAuthEvents: (payload) => [{ kind: 'email_verified', flow: 'signup', user: payload.account, occurredAt: CONFIRMED_AT }]
+      };
+
+      const [event] = normalizeAuthEvents({ type: 'custom.confirmed', account: user() }, [adapter]);
+      assert.equal(event.source, 'custom');
+      assert.equal(event.userId, 'user-1');
+    });
+  });
+
+  describe('createDispatcher', () => {
+    it('runs the handlers for an event kind in subscription order', async () => {
+      const calls = [];
+      const dispatcher = createDispatcher()
+        .on('email_verified', async (event, context) => calls.push(['first', event.userId, context.step]))
+        .on('email_verified', async (event) => calls.push(['second', event.userId]))
+        .on('password_recovery', async () => calls.push(['recovery']));
+
+      const handled = await dispatcher.dispatch({ kind: 'email_verified', userId: 'user-1' }, { step: 1 });
+
+      assert.equal(handled, 2);
+      assert.deepEqual(calls, [['first', 'user-1', 1], ['second', 'user-1']]);
+    });
+
+    it('returns 0 for kinds nobody subscribed to', async () => {
+      assert.equal(await createDispatcher().dispatch({ kind: 'email_changed' }), 0);
+    });
+
+    it('stops at a failing handler and rejects with its error', async () => {
+      const calls = [];
+      const dispatcher = createDispatcher()
+        .on('email_verified', async () => {
+          throw new Error('profile insert failed');
+        })
+        .on('email_verified', async () => calls.push('after'));
+
+      await assert.rejects(dispatcher.dispatch({ kind: 'email_verified' }), /profile insert failed/);
+      assert.deepEqual(calls, []);
+    });
+  });
+});
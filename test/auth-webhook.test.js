@@ -0,0 +1,194 @@
+require('./setup-env');
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabaseJs = require('@supabase/supabase-js');
+
+// The `webhook_events` ledger table, keyed by id like the real primary key
+const ledger = new Map();
+
+function ledgerQuery() {
+  const filters = [];
+  let operation = null;
+
+  const query = {
+    insert(row) {
+      operation = () => {
+        if (ledger.has(row.id)) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+        }
+        ledger.set(row.id, { side_effects: null, result: null, ...row });
+        return { data: null, error: null };
+      };
+      return query;
+    },
+    update(values) {
+      operation = () => {
+        const rows = [...ledger.values()].filter((row) => filters.every((matches) => matches(row)));
+        rows.forEach((row) => Object.assign(row, values));
+        return { data: rows.map(({ id }) => ({ id })), error: null };
+      };
+      return query;
+    },
+    select() {
+      operation = operation || (() => ({ data: [...ledger.values()].filter((row) => filters.every((matches) => matches(row))), error: null }));
+      return query;
+    },
+    eq(column, value) {
+      filters.push((row) => row[column] === value);
+      return query;
+    },
+    single() {
+      const select = operation;
+      operation = () => {
+        const { data } = select();
+        return data.length > 0 ? { data: { ...data[0] }, error: null } : { data: null, error: { code: 'PGRST116' } };
+      };
+      return query;
+    },
+    then(resolve, reject) {
+      return Promise.resolve().then(operation).then(resolve, reject);
+    }
+  };
+  return query;
+}
+
+mock.method(supabaseJs, 'createClient', () => ({ from: () => ledgerQuery() }));
+
+const webhookProcessor = require('../lib/webhook-processor');
+
+const processed = [];
+let nextOutcome = null;
+mock.method(webhookProcessor, 'processWebhookEvent', async (payload, options) => {
+  processed.push({ payload, options });
+  const outcome = nextOutcome || {
+    result: { success: true, run: processed.length },
+    sideEffects: { profile: { status: 'done' } },
+    failed: false
+  };
+  nextOutcome = null;
+  return outcome;
+});
+
+const authWebhook = require('../api/auth-webhook');
+
+const SECRET = Buffer.from('test-webhook-secret');
+
+function signedRequest(body, { id = 'msg_1', timestamp = Math.floor(Date.now() / 1000), signature } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const digest = crypto.createHmac('sha256', SECRET).update(`${id}.${timestamp}.`).update(rawBody).digest('base64');
+
+  const req = Readable.from([rawBody]);
+  req.method = 'POST';
+  req.headers = {
+    'content-type': 'application/json',
+    'webhook-id': id,
+    'webhook-timestamp': String(timestamp),
+    'webhook-signature': signature || `v1,${digest}`
+  };
+  return req;
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function deliver(req) {
+  const res = createResponse();
+  await authWebhook(req, res);
+  return res;
+}
+
+const EVENT = { type: 'UPDATE', table: 'users', record: { id: 'user-1', email_confirmed_at: '2026-01-01T00:00:00Z' } };
+
+describe('auth webhook', () => {
+  beforeEach(() => {
+    ledger.clear();
+    processed.length = 0;
+  });
+
+  it('processes a signed delivery and records it in the ledger', async () => {
+    const res = await deliver(signedRequest(EVENT));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { success: true, run: 1 });
+    assert.equal(processed.length, 1);
+    assert.equal(processed[0].options.webhookEventId, 'msg_1');
+    assert.equal(ledger.get('msg_1').status, 'processed');
+  });
+
+  it('rejects unsigned, forged and stale deliveries', async () => {
+    const unsigned = signedRequest(EVENT);
+    delete unsigned.headers['webhook-signature'];
+
+    assert.equal((await deliver(unsigned)).statusCode, 401);
+    assert.equal((await deliver(signedRequest(EVENT, { signature: `v1,${Buffer.alloc(32).toString('base64')}` }))).statusCode, 401);
+    assert.equal((await deliver(signedRequest(EVENT, { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 }))).statusCode, 401);
+    assert.equal(processed.length, 0);
+  });
+
+  describe('replay protection (the ledger)', () => {
+    it('never re-processes a replayed webhook-id, answering with the original result', async () => {
+      await deliver(signedRequest(EVENT));
+      const replay = await deliver(signedRequest(EVENT));
+
+      assert.equal(replay.statusCode, 200);
+      assert.deepEqual(replay.body, { success: true, run: 1 });
+      assert.equal(processed.length, 1);
+    });
+
+    it('keys on the webhook-id, not the body', async () => {
+      await deliver(signedRequest(EVENT));
+      const replay = await deliver(signedRequest({ ...EVENT, record: { ...EVENT.record, id: 'user-2' } }));
+
+      assert.deepEqual(replay.body, { success: true, run: 1 });
+      assert.equal(processed.length, 1);
+    });
+
+    it('answers 202 while the original delivery is still running', async () => {
+      ledger.set('msg_1', { id: 'msg_1', status: 'received', attempts: 1, side_effects: null, result: null });
+      const replay = await deliver(signedRequest(EVENT));
+
+      assert.equal(replay.statusCode, 202);
+      assert.equal(processed.length, 0);
+    });
+
+    it('retries only the failed steps when a failed delivery is redelivered', async () => {
+      nextOutcome = {
+        result: { success: false },
+        sideEffects: { profile: { status: 'done' }, providerProfile: { status: 'failed', error: 'timeout' } },
+        failed: true
+      };
+      await deliver(signedRequest(EVENT));
+      assert.equal(ledger.get('msg_1').status, 'failed');
+
+      const redelivery = await deliver(signedRequest(EVENT));
+
+      assert.equal(redelivery.statusCode, 200);
+      assert.equal(processed.length, 2);
+      assert.deepEqual(processed[1].options.previousSideEffects, {
+        profile: { status: 'done' },
+        providerProfile: { status: 'failed', error: 'timeout' }
+      });
+      assert.equal(ledger.get('msg_1').status, 'processed');
+      assert.equal(ledger.get('msg_1').attempts, 2);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+require('./setup-env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError, loadConfig, loadPublicConfig, toBrowserConfig } = require('../lib/config');
+
+// The minimum a server deployment needs
+const REQUIRED = {
+  SUPABASE_URL: 'https://example.supabase.co',
+  SUPABASE_ANON_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+  SUPABASE_WEBHOOK_SECRET: 'v1,whsec_c2VjcmV0',
+  VERIFICATION_TOKEN_SECRET: 'verification-secret',
+  SESSION_ENCRYPTION_SECRET: 'session-secret',
+  CSRF_SECRET: 'csrf-secret',
+  SESSION_STORE: 'memory'
+};
+
+function problemsFor(load, env) {
+  try {
+    load(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  return [];
+}
+
+describe('config', () => {
+  it('loads typed settings with environment defaults', () => {
+    const config = loadConfig({ ...REQUIRED, APP_ENV: 'production' });
+
+    assert.equal(config.environment, 'production');
+    assert.equal(config.isProduction, true);
+    assert.equal(config.publicBaseUrl, 'https://auth.manito.cl');
+    assert.equal(config.appLinkBaseUrl, 'https://app.manito.cl/app');
+    assert.deepEqual(config.allowedOrigins, ['https://auth.manito.cl', 'https://manito.cl', 'https://www.manito.cl']);
+    assert.equal(config.sessionCodes.ttlMs, 5 * 60 * 1000);
+    assert.equal(config.verification.maxRetries, 6);
+    assert.equal(config.logging.level, 'info');
+    assert.equal(config.rateLimit.store, 'memory');
+  });
+
+  it('derives the environment from VERCEL_ENV', () => {
+    assert.equal(loadConfig({ ...REQUIRED, VERCEL_ENV: 'production' }).environment, 'production');
+    assert.equal(loadConfig({ ...REQUIRED, VERCEL_ENV: 'preview' }).environment, 'staging');
+    assert.equal(loadConfig(REQUIRED).environment, 'development');
+  });
+
+  it('reads overrides', () => {
+    const config = loadConfig({
+      ...REQUIRED,
+      ALLOWED_ORIGINS: 'https://a.example, https://b.example',
+      SESSION_CODE_TTL_SECONDS: '120',
+      FEATURE_RATE_LIMITING: 'false',
+      RATE_LIMITS: '{"verified":{"limit":30}}'
+    });
+
+    assert.deepEqual(config.allowedOrigins, ['https://a.example', 'https://b.example']);
+    assert.equal(config.sessionCodes.ttlMs, 120 * 1000);
+    assert.equal(config.features.rateLimiting, false);
+    assert.deepEqual(config.rateLimit.overrides, { verified: { limit: 30 } });
+  });
+
+  it('is frozen', () => {
+    const config = loadConfig(REQUIRED);
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.supabase));
+    assert.ok(Object.isFrozen(config.allowedOrigins));
+  });
+
+  it('lists every problem at once', () => {
+    const problems = problemsFor(loadConfig, {
+      SUPABASE_URL: 'not a url',
+      SESSION_CODE_TTL_SECONDS: '5',
+      FEATURE_CSRF_PROTECTION: 'yes',
+      SESSION_STORE: 'redis'
+    });
+
+    for (const expected of [
+      'SUPABASE_URL must be a valid URL (got "not a url")',
+      'SUPABASE_ANON_KEY is required',
+      'SUPABASE_SERVICE_ROLE_KEY is required',
+      'VERIFICATION_TOKEN_SECRET is required',
+      'SESSION_CODE_TTL_SECONDS must be an integer >= 30 (got "5")',
+      'FEATURE_CSRF_PROTECTION must be "true" or "false" (got "yes")',
+      'REDIS_URL is required when a redis store is selected'
+    ]) {
+      assert.ok(problems.includes(expected), `missing problem: ${expected}`);
+    }
+  });
+
+  it('only waives the webhook secret outside production', () => {
+    const { SUPABASE_WEBHOOK_SECRET, ...unsigned } = REQUIRED;
+
+    assert.equal(loadConfig({ ...unsigned, WEBHOOK_ALLOW_UNSIGNED: 'true' }).webhook.allowUnsigned, true);
+    assert.deepEqual(
+      problemsFor(loadConfig, { ...unsigned, WEBHOOK_ALLOW_UNSIGNED: 'true', APP_ENV: 'production' }),
+      ['SUPABASE_WEBHOOK_SECRET is required']
+    );
+  });
+
+  it('requires a separate app link host outside development', () => {
+    const sameHost = { APP_LINK_BASE_URL: 'https://auth.manito.cl/app' };
+
+    assert.equal(loadConfig({ ...REQUIRED, ...sameHost, PUBLIC_BASE_URL: 'https://auth.manito.cl' }).appLinkBaseUrl, 'https://auth.manito.cl/app');
+    assert.match(problemsFor(loadConfig, { ...REQUIRED, ...sameHost, APP_ENV: 'staging', PUBLIC_BASE_URL: 'https://auth.manito.cl' })[0], /APP_LINK_BASE_URL must be on a different host/);
+  });
+
+  describe('browser config', () => {
+    it('loads without server secrets and exposes only public settings', () => {
+      const settings = loadPublicConfig({
+        SUPABASE_URL: 'https://example.supabase.co',
+        SUPABASE_ANON_KEY: 'anon-key',
+        APP_ENV: 'staging'
+      });
+      const browserConfig = toBrowserConfig(settings);
+
+      assert.equal(browserConfig.supabaseUrl, 'https://example.supabase.co');
+      assert.equal(browserConfig.supabaseKey, 'anon-key');
+      assert.equal(browserConfig.environment, 'staging');
+      assert.equal(browserConfig.isProduction, false);
+      assert.equal(browserConfig.appLinkBaseUrl, 'https://staging.app.manito.cl/app');
+      assert.doesNotMatch(JSON.stringify(browserConfig), /service|secret/i);
+    });
+
+    it('still requires the public Supabase settings', () => {
+      assert.deepEqual(problemsFor(loadPublicConfig, {}), ['SUPABASE_URL is required', 'SUPABASE_ANON_KEY is required']);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+require('./setup-env');
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  mintCorrelationToken,
+  verifyCorrelationToken,
+  correlationFromUser
+} = require('../lib/correlation-token');
+
+function resign(encodedPayload, secret = process.env.VERIFICATION_TOKEN_SECRET) {
+  const signature = crypto.createHmac('sha256', secret).update(`v1.${encodedPayload}`).digest('base64url');
+  return `v1.${encodedPayload}.${signature}`;
+}
+
+function encode(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+describe('correlation tokens', () => {
+  it('verifies a freshly minted token', () => {
+    const { token, correlationId, expiresAt } = mintCorrelationToken({ flow: 'recovery' });
+    const payload = verifyCorrelationToken(token);
+
+    assert.equal(payload.cid, correlationId);
+    assert.equal(payload.exp, expiresAt);
+    assert.equal(payload.flow, 'recovery');
+  });
+
+  it('mints a different ID every time', () => {
+    assert.notEqual(mintCorrelationToken().correlationId, mintCorrelationToken().correlationId);
+  });
+
+  it('rejects expired tokens', () => {
+    const { token } = mintCorrelationToken({ ttlMs: -1000 });
+    assert.equal(verifyCorrelationToken(token), null);
+  });
+
+  it('rejects a payload changed after signing', () => {
+    const { token } = mintCorrelationToken();
+    const [version, , signature] = token.split('.');
+    const forged = `${version}.${encode({ cid: 'someone-else', exp: Date.now() + 60000 })}.${signature}`;
+
+    assert.equal(verifyCorrelationToken(forged), null);
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const forged = resign(encode({ cid: 'abc', exp: Date.now() + 60000 }), 'not-the-secret');
+    assert.equal(verifyCorrelationToken(forged), null);
+  });
+
+  it('rejects other versions and malformed input without throwing', () => {
+    const { token } = mintCorrelationToken();
+
+    for (const value of [undefined, null, 42, '', 'v1', 'v1.a', token.replace(/^v1/, 'v2'), `${token}.extra`, 'x'.repeat(600)]) {
+      assert.equal(verifyCorrelationToken(value), null, String(value));
+    }
+  });
+
+  it('rejects correctly signed payloads without an ID or expiry', () => {
+    assert.equal(verifyCorrelationToken(resign(encode({ exp: Date.now() + 60000 }))), null);
+    assert.equal(verifyCorrelationToken(resign(encode({ cid: 'abc' }))), null);
+    assert.equal(verifyCorrelationToken(resign(Buffer.from('not json').toString('base64url'))), null);
+  });
+
+  it('reads the token from user metadata', () => {
+    const { token, correlationId } = mintCorrelationToken();
+
+    assert.equal(correlationFromUser({ user_metadata: { verification_correlation_token: token } }).cid, correlationId);
+    assert.equal(correlationFromUser({ raw_user_meta_data: { verification_correlation_token: token } }).cid, correlationId);
+    assert.equal(correlationFromUser({ user_metadata: {} }), null);
+    assert.equal(correlationFromUser(null), null);
+  });
+});
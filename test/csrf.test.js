@@ -0,0 +1,144 @@
+require('./setup-env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  issueCsrfToken,
+  verifyCsrfToken,
+  checkRequestOrigin,
+  withCsrfProtection
+} = require('../lib/csrf');
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Issue a token and build the request the callback page would send with it
+function issueRequest() {
+  const res = createResponse();
+  const token = issueCsrfToken(res);
+  const cookieValue = res.headers['set-cookie'].match(new RegExp(`^${CSRF_COOKIE}=([^;]+)`))[1];
+
+  return {
+    res,
+    token,
+    req: {
+      method: 'POST',
+      headers: { [CSRF_HEADER]: token },
+      cookies: { [CSRF_COOKIE]: cookieValue }
+    }
+  };
+}
+
+describe('csrf', () => {
+  describe('issueCsrfToken', () => {
+    it('sets a strict, HttpOnly cookie scoped to /api', () => {
+      const { res } = issueRequest();
+      const cookie = res.headers['set-cookie'];
+
+      assert.match(cookie, /; Path=\/api;/);
+      assert.match(cookie, /; HttpOnly;/);
+      assert.match(cookie, /; Secure;/);
+      assert.match(cookie, /; SameSite=Strict$/);
+    });
+  });
+
+  describe('verifyCsrfToken', () => {
+    it('accepts the token with its cookie', () => {
+      assert.equal(verifyCsrfToken(issueRequest().req), true);
+    });
+
+    it('rejects the token with another cookie', () => {
+      const { req } = issueRequest();
+      const other = issueRequest().req;
+      assert.equal(verifyCsrfToken({ ...req, cookies: other.cookies }), false);
+    });
+
+    it('rejects a missing cookie or header', () => {
+      const { req } = issueRequest();
+      assert.equal(verifyCsrfToken({ ...req, cookies: {} }), false);
+      assert.equal(verifyCsrfToken({ ...req, headers: {} }), false);
+    });
+
+    it('rejects an expired or altered token', () => {
+      const { req, token } = issueRequest();
+      const [, signature] = token.split('.');
+
+      assert.equal(verifyCsrfToken({ ...req, headers: { [CSRF_HEADER]: `${Date.now() - 1000}.${signature}` } }), false);
+      assert.equal(verifyCsrfToken({ ...req, headers: { [CSRF_HEADER]: `${Date.now() + 60 * 60 * 1000}.${signature}` } }), false);
+      assert.equal(verifyCsrfToken({ ...req, headers: { [CSRF_HEADER]: `${token}.extra` } }), false);
+    });
+  });
+
+  describe('checkRequestOrigin', () => {
+    it('accepts this deployment, allowed origins and requests without an Origin', () => {
+      assert.equal(checkRequestOrigin({ headers: { origin: 'http://localhost:3000' } }), null);
+      assert.equal(checkRequestOrigin({ headers: { origin: 'https://manito.cl', 'sec-fetch-site': 'same-site' } }), null);
+      assert.equal(checkRequestOrigin({ headers: {} }), null);
+    });
+
+    it('rejects other origins and cross-site requests', () => {
+      assert.equal(checkRequestOrigin({ headers: { origin: 'https://evil.example' } }), 'Origin not allowed');
+      assert.equal(checkRequestOrigin({ headers: { 'sec-fetch-site': 'cross-site' } }), 'Cross-site request');
+    });
+  });
+
+  describe('withCsrfProtection', () => {
+    const handler = withCsrfProtection(async (req, res) => res.status(200).json({ ok: true }));
+    const originOnly = withCsrfProtection(async (req, res) => res.status(200).json({ ok: true }), { requireToken: false });
+
+    it('passes safe methods through', async () => {
+      const res = createResponse();
+      await handler({ method: 'GET', headers: { 'sec-fetch-site': 'cross-site' } }, res);
+      assert.equal(res.statusCode, 200);
+    });
+
+    it('runs the handler for a valid token', async () => {
+      const res = createResponse();
+      await handler(issueRequest().req, res);
+      assert.deepEqual(res.body, { ok: true });
+    });
+
+    it('returns 403 without a valid token', async () => {
+      const res = createResponse();
+      await handler({ method: 'POST', headers: {}, cookies: {} }, res);
+      assert.equal(res.statusCode, 403);
+      assert.deepEqual(res.body, { error: 'Missing or invalid CSRF token' });
+    });
+
+    it('returns 403 for a foreign origin even with a valid token', async () => {
+      const { req } = issueRequest();
+      const res = createResponse();
+      await handler({ ...req, headers: { ...req.headers, origin: 'https://evil.example' } }, res);
+      assert.equal(res.statusCode, 403);
+      assert.deepEqual(res.body, { error: 'Origin not allowed' });
+    });
+
+    it('only checks the origin when the token is not required', async () => {
+      const allowed = createResponse();
+      await originOnly({ method: 'POST', headers: {} }, allowed);
+      assert.equal(allowed.statusCode, 200);
+
+      const rejected = createResponse();
+      await originOnly({ method: 'POST', headers: { 'sec-fetch-site': 'cross-site' } }, rejected);
+      assert.equal(rejected.statusCode, 403);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+require('./setup-env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyLinkRequest } = require('../lib/link-scanners');
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const IPHONE_SAFARI = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+function request(headers, method = 'GET') {
+  return { method, headers };
+}
+
+describe('classifyLinkRequest', () => {
+  it('labels HEAD requests', () => {
+    assert.equal(classifyLinkRequest(request({ 'user-agent': CHROME }, 'HEAD')), 'head');
+  });
+
+  it('labels speculative loads as prefetch', () => {
+    assert.equal(classifyLinkRequest(request({ 'user-agent': CHROME, 'sec-purpose': 'prefetch;prerender' })), 'prefetch');
+    assert.equal(classifyLinkRequest(request({ 'user-agent': CHROME, purpose: 'prefetch' })), 'prefetch');
+    assert.equal(classifyLinkRequest(request({ 'user-agent': IPHONE_SAFARI, 'x-purpose': 'preview' })), 'prefetch');
+    assert.equal(classifyLinkRequest(request({ 'user-agent': CHROME, 'x-moz': 'prefetch' })), 'prefetch');
+  });
+
+  it('labels known scanners, previewers and HTTP libraries', () => {
+    const userAgents = [
+      'Mozilla/4.0 (compatible; ms-office; MSOffice 16)',
+      'Microsoft Office Word 2014',
+      'Proofpoint URL Defense',
+      'Mozilla/5.0 (Windows NT 5.1; rv:11.0) Gecko Firefox/11.0 (via ggpht.com GoogleImageProxy)',
+      'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+      'WhatsApp/2.23.20.0 A',
+      'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/124.0.0.0 Safari/537.36',
+      'curl/8.4.0',
+      'python-requests/2.31.0',
+      'node-fetch/1.0 (+https://github.com/bitinn/node-fetch)'
+    ];
+
+    for (const userAgent of userAgents) {
+      assert.equal(classifyLinkRequest(request({ 'user-agent': userAgent })), 'scanner', userAgent);
+    }
+  });
+
+  it('labels requests without a User-Agent as scanners', () => {
+    assert.equal(classifyLinkRequest(request({})), 'scanner');
+    assert.equal(classifyLinkRequest(request({ 'user-agent': '  ' })), 'scanner');
+    assert.equal(classifyLinkRequest({ method: 'GET' }), 'scanner');
+  });
+
+  it('labels ordinary browsers', () => {
+    assert.equal(classifyLinkRequest(request({ 'user-agent': CHROME })), 'browser');
+    assert.equal(classifyLinkRequest(request({ 'user-agent': IPHONE_SAFARI })), 'browser');
+    assert.equal(classifyLinkRequest(request({ 'user-agent': CHROME, 'sec-purpose': '' })), 'browser');
+  });
+});
@@ -0,0 +1,147 @@
+require('./setup-env');
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const supabaseJs = require('@supabase/supabase-js');
+const { mintCorrelationToken } = require('../lib/correlation-token');
+const { computeCodeChallenge } = require('../lib/pkce');
+
+// Stands in for Supabase's auth API; lib/link-verification.js picks it up when it loads
+const supabase = {
+  exchanges: [],
+  verifications: [],
+  revoked: [],
+  redirectType: null
+};
+
+const USER = { id: 'user-1', email: 'ana@example.com' };
+const SESSION = { access_token: 'access-token', refresh_token: 'refresh-token', expires_in: 3600, token_type: 'bearer' };
+
+mock.method(supabaseJs, 'createClient', (url, key, options) => ({
+  auth: {
+    async verifyOtp(params) {
+      supabase.verifications.push(params);
+      return { data: { user: USER, session: { ...SESSION } }, error: null };
+    },
+    async exchangeCodeForSession(code) {
+      const storageItem = await options.auth.storage.getItem(`${options.auth.storageKey}-code-verifier`);
+      supabase.exchanges.push({ code, storageItem });
+      if (!storageItem) {
+        return { data: { user: null, session: null }, error: { message: 'code verifier missing' } };
+      }
+      return { data: { user: USER, session: { ...SESSION }, redirectType: storageItem.split('/')[1] || null }, error: null };
+    },
+    admin: {
+      async signOut(accessToken) {
+        supabase.revoked.push(accessToken);
+      }
+    }
+  }
+}));
+
+const { registerCodeVerifier, hasVerifiableLink, verifyEmailLink } = require('../lib/link-verification');
+
+const VERIFIER = 'a'.repeat(112);
+const CODE_CHALLENGE = computeCodeChallenge('app-verifier-'.padEnd(64, 'x'));
+
+describe('link verification', () => {
+  beforeEach(() => {
+    supabase.exchanges = [];
+    supabase.verifications = [];
+    supabase.revoked = [];
+  });
+
+  it('recognizes token_hash and PKCE code links', () => {
+    assert.equal(hasVerifiableLink({ token_hash: 'hash', type: 'signup' }), true);
+    assert.equal(hasVerifiableLink({ code: 'auth-code' }), true);
+    assert.equal(hasVerifiableLink({ token_hash: 'hash' }), false);
+    assert.equal(hasVerifiableLink({}), false);
+  });
+
+  describe('token_hash links', () => {
+    it('verifies signups and revokes the session', async () => {
+      const result = await verifyEmailLink({ token_hash: 'hash', type: 'signup' });
+
+      assert.deepEqual(result, { user: USER, flow: 'signup' });
+      assert.deepEqual(supabase.verifications, [{ token_hash: 'hash', type: 'signup' }]);
+      assert.deepEqual(supabase.revoked, ['access-token']);
+    });
+
+    it('keeps recovery sessions for the app', async () => {
+      const result = await verifyEmailLink({ token_hash: 'hash', type: 'recovery', code_challenge: CODE_CHALLENGE });
+
+      assert.equal(result.flow, 'recovery');
+      assert.equal(result.session.access_token, 'access-token');
+      assert.equal(result.codeChallenge, CODE_CHALLENGE);
+      assert.deepEqual(supabase.revoked, []);
+    });
+
+    it('refuses recovery links without a code_challenge before Supabase sees them', async () => {
+      const result = await verifyEmailLink({ token_hash: 'hash', type: 'recovery' });
+
+      assert.equal(result.error, 'Missing or invalid code_challenge');
+      assert.deepEqual(supabase.verifications, []);
+    });
+  });
+
+  describe('PKCE code links', () => {
+    it('rejects invalid registrations', async () => {
+      const { token } = mintCorrelationToken({ flow: 'signup' });
+
+      assert.equal(await registerCodeVerifier('v1.forged.token', VERIFIER), false);
+      assert.equal(await registerCodeVerifier(token, 'short'), false);
+      assert.equal(await registerCodeVerifier(token, `${VERIFIER}/`), false);
+      assert.equal(await registerCodeVerifier(token, `${VERIFIER}/recovery/extra`), false);
+      assert.equal(await registerCodeVerifier(token, undefined), false);
+    });
+
+    it('exchanges the code with the registered verifier, once', async () => {
+      const { token } = mintCorrelationToken({ flow: 'signup' });
+      assert.equal(await registerCodeVerifier(token, VERIFIER), true);
+
+      const result = await verifyEmailLink({ code: 'auth-code', correlation: token });
+
+      assert.deepEqual(result, { user: USER, flow: 'signup' });
+      assert.deepEqual(supabase.exchanges, [{ code: 'auth-code', storageItem: VERIFIER }]);
+      assert.deepEqual(supabase.revoked, ['access-token']);
+
+      const replay = await verifyEmailLink({ code: 'auth-code', correlation: token });
+      assert.equal(replay.error, 'No code verifier registered for this link');
+      assert.equal(supabase.exchanges.length, 1);
+    });
+
+    it('needs a valid correlation token and a registered verifier', async () => {
+      const { token } = mintCorrelationToken({ flow: 'signup' });
+
+      assert.equal((await verifyEmailLink({ code: 'auth-code' })).error, 'PKCE code link without a valid correlation token');
+      assert.equal((await verifyEmailLink({ code: 'auth-code', correlation: token })).error, 'No code verifier registered for this link');
+      assert.deepEqual(supabase.exchanges, []);
+    });
+
+    it('keeps recovery sessions for the app, taking the flow from the redirect type', async () => {
+      const { token } = mintCorrelationToken();
+      await registerCodeVerifier(token, `${VERIFIER}/recovery`);
+
+      const result = await verifyEmailLink({ code: 'auth-code', correlation: token, code_challenge: CODE_CHALLENGE });
+
+      assert.equal(result.flow, 'recovery');
+      assert.equal(result.session.access_token, 'access-token');
+      assert.equal(result.codeChallenge, CODE_CHALLENGE);
+      assert.deepEqual(supabase.exchanges, [{ code: 'auth-code', storageItem: `${VERIFIER}/recovery` }]);
+      assert.deepEqual(supabase.revoked, []);
+    });
+
+    it('refuses magic links without a code_challenge and keeps the verifier', async () => {
+      const { token } = mintCorrelationToken({ flow: 'magiclink' });
+      await registerCodeVerifier(token, VERIFIER);
+
+      const refused = await verifyEmailLink({ code: 'auth-code', correlation: token });
+      assert.equal(refused.error, 'Missing or invalid code_challenge');
+      assert.deepEqual(supabase.exchanges, []);
+
+      const result = await verifyEmailLink({ code: 'auth-code', correlation: token, code_challenge: CODE_CHALLENGE });
+      assert.equal(result.flow, 'magiclink');
+      assert.equal(supabase.exchanges.length, 1);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+require('./setup-env');
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeCodeChallenge,
+  isValidCodeChallenge,
+  isValidCodeVerifier,
+  verifyCodeVerifier
+} = require('../lib/pkce');
+
+const VERIFIER = crypto.randomBytes(32).toString('base64url');
+
+describe('PKCE', () => {
+  it('matches the RFC 7636 appendix B example', () => {
+    assert.equal(
+      computeCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'),
+      'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM'
+    );
+  });
+
+  it('accepts the verifier behind a challenge', () => {
+    assert.equal(verifyCodeVerifier(VERIFIER, computeCodeChallenge(VERIFIER)), true);
+  });
+
+  it('rejects any other verifier', () => {
+    const otherVerifier = crypto.randomBytes(32).toString('base64url');
+    assert.equal(verifyCodeVerifier(otherVerifier, computeCodeChallenge(VERIFIER)), false);
+  });
+
+  it("rejects the 'plain' method (verifier sent as its own challenge)", () => {
+    assert.equal(verifyCodeVerifier(VERIFIER, VERIFIER), false);
+  });
+
+  it('checks verifier and challenge formats', () => {
+    assert.equal(isValidCodeVerifier('a'.repeat(42)), false);
+    assert.equal(isValidCodeVerifier('a'.repeat(43)), true);
+    assert.equal(isValidCodeVerifier('a'.repeat(129)), false);
+    assert.equal(isValidCodeVerifier(`${'a'.repeat(42)}+`), false);
+    assert.equal(isValidCodeChallenge(computeCodeChallenge(VERIFIER)), true);
+    assert.equal(isValidCodeChallenge(`${computeCodeChallenge(VERIFIER)}=`), false);
+    assert.equal(isValidCodeChallenge(undefined), false);
+    assert.equal(verifyCodeVerifier(undefined, computeCodeChallenge(VERIFIER)), false);
+  });
+});
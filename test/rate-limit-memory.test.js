@@ -0,0 +1,39 @@
+require('./setup-env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryCounterStore } = require('../lib/rate-limit/memory');
+
+describe('memory rate-limit store', () => {
+  it('allows hits up to the limit within the window', async () => {
+    const store = createMemoryCounterStore();
+    const now = Date.now();
+
+    assert.deepEqual(await store.hit('ip:1', 2, 1000, now), { allowed: true, count: 1, oldest: now });
+    assert.deepEqual(await store.hit('ip:1', 2, 1000, now + 1), { allowed: true, count: 2, oldest: now });
+    assert.deepEqual(await store.hit('ip:1', 2, 1000, now + 2), { allowed: false, count: 2, oldest: now });
+  });
+
+  it('slides the window forward', async () => {
+    const store = createMemoryCounterStore();
+    const now = Date.now();
+
+    await store.hit('ip:1', 1, 1000, now);
+    assert.equal((await store.hit('ip:1', 1, 1000, now + 999)).allowed, false);
+    assert.equal((await store.hit('ip:1', 1, 1000, now + 1000)).allowed, true);
+  });
+
+  it('drops keys whose window has passed on the next sweep', async () => {
+    const store = createMemoryCounterStore();
+    const now = Date.now();
+
+    await store.hit('ip:1', 5, 1000, now);
+    await store.hit('ip:2', 5, 10 * 60 * 1000, now);
+    assert.equal(store.size(), 2);
+
+    // A minute later another client's hit sweeps ip:1 but keeps ip:2, whose window is still open
+    await store.hit('ip:3', 5, 1000, now + 60 * 1000);
+    assert.equal(store.size(), 2);
+    assert.equal((await store.hit('ip:2', 2, 10 * 60 * 1000, now + 60 * 1000)).count, 2);
+  });
+});
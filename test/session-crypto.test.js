@@ -0,0 +1,63 @@
+require('./setup-env');
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { openSession, sealSession, storageKeyForCode } = require('../lib/session-crypto');
+
+const TOKENS = { access_token: 'access', refresh_token: 'refresh', expires_in: 3600, token_type: 'bearer' };
+
+function newCode() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+describe('session crypto', () => {
+  it('opens what it sealed', () => {
+    const code = newCode();
+    assert.deepEqual(openSession(code, sealSession(code, TOKENS)), TOKENS);
+  });
+
+  it('never stores the tokens in the clear', () => {
+    const sealed = sealSession(newCode(), TOKENS);
+    assert.doesNotMatch(JSON.stringify(sealed), /access|refresh/);
+  });
+
+  it('uses a fresh IV for every seal', () => {
+    const code = newCode();
+    assert.notEqual(sealSession(code, TOKENS).iv, sealSession(code, TOKENS).iv);
+  });
+
+  it('derives the storage key by hashing the code', () => {
+    const code = newCode();
+    assert.equal(storageKeyForCode(code), crypto.createHash('sha256').update(code).digest('hex'));
+    assert.notEqual(storageKeyForCode(code), code);
+  });
+
+  it('refuses to open with another code', () => {
+    const sealed = sealSession(newCode(), TOKENS);
+    assert.throws(() => openSession(newCode(), sealed));
+  });
+
+  it('refuses tampered ciphertext', () => {
+    const code = newCode();
+    const sealed = sealSession(code, TOKENS);
+    const ciphertext = Buffer.from(sealed.ciphertext, 'base64url');
+    ciphertext[0] ^= 1;
+
+    assert.throws(() => openSession(code, { ...sealed, ciphertext: ciphertext.toString('base64url') }));
+  });
+
+  it('refuses truncated authentication tags', () => {
+    const code = newCode();
+    const sealed = sealSession(code, TOKENS);
+    const tag = Buffer.from(sealed.tag, 'base64url').subarray(0, 8).toString('base64url');
+
+    assert.throws(() => openSession(code, { ...sealed, tag }));
+  });
+
+  it('refuses unknown formats', () => {
+    const code = newCode();
+    assert.throws(() => openSession(code, null), /Unsupported sealed session format/);
+    assert.throws(() => openSession(code, { ...sealSession(code, TOKENS), v: 2 }), /Unsupported sealed session format/);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Test environment: the settings lib/config.js requires, with fixed test secrets.
+ * Required first by every test file, before any lib module reads its config.
+ */
+
+delete process.env.REDIS_URL;
+
+Object.assign(process.env, {
+  APP_ENV: 'development',
+  SUPABASE_URL: 'https://example.supabase.co',
+  SUPABASE_ANON_KEY: 'test-anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+  VERIFICATION_TOKEN_SECRET: 'test-verification-token-secret',
+  SESSION_ENCRYPTION_SECRET: 'test-session-encryption-secret',
+  CSRF_SECRET: 'test-csrf-secret',
+  SUPABASE_WEBHOOK_SECRET: `v1,whsec_${Buffer.from('test-webhook-secret').toString('base64')}`,
+  PUBLIC_BASE_URL: 'http://localhost:3000',
+  ALLOWED_ORIGINS: 'http://localhost:3000,https://manito.cl',
+  SESSION_STORE: 'memory',
+  RATE_LIMIT_STORE: 'memory',
+  METRICS_STORE: 'memory',
+  FEATURE_CSRF_PROTECTION: 'true',
+  LOG_LEVEL: 'error'
+});
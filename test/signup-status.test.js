@@ -0,0 +1,128 @@
+require('./setup-env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mintCorrelationToken, mintSignupHandle, verifySignupHandle } = require('../lib/correlation-token');
+const { recordSignupVerified, getSignupStatus, waitForSignupStatus } = require('../lib/signup-status');
+const signupStatus = require('../api/signup-status');
+
+function newSignup({ ttlMs } = {}) {
+  const { correlationId, expiresAt } = mintCorrelationToken({ flow: 'signup', ttlMs });
+  const handle = mintSignupHandle({ correlationId, expiresAt });
+  return { handle, payload: verifySignupHandle(handle) };
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    headersSent: false,
+    chunks: [],
+    body: undefined,
+    ended: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.headersSent = true;
+      this.ended = true;
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+      this.headersSent = true;
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+function createRequest(handle, { accept, query = {} } = {}) {
+  return {
+    method: 'GET',
+    headers: accept ? { accept } : {},
+    query: { handle, ...query },
+    on() {}
+  };
+}
+
+// Let the handler get as far as its first wait
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('signup status', () => {
+  it('is pending until the signup is recorded, then verified', async () => {
+    const { payload } = newSignup();
+    assert.deepEqual(await getSignupStatus(payload), { status: 'pending' });
+
+    await recordSignupVerified(payload, { occurredAt: '2026-01-01T00:00:00.000Z', flow: 'signup' });
+    assert.deepEqual(await getSignupStatus(payload), { status: 'verified', verified_at: '2026-01-01T00:00:00.000Z' });
+  });
+
+  it('is expired once the link expired unverified', async () => {
+    const { payload } = newSignup({ ttlMs: -1000 });
+    assert.deepEqual(await getSignupStatus(payload), { status: 'expired' });
+  });
+
+  it('yields to the event loop when waiting with no time left', async () => {
+    const { payload } = newSignup();
+    let timerRan = false;
+    setTimeout(() => {
+      timerRan = true;
+    }, 0);
+
+    const current = await waitForSignupStatus(payload, { timeoutMs: 0 });
+    assert.equal(current.status, 'pending');
+    assert.equal(timerRan, true);
+  });
+
+  it('long-polls until the status changes', async () => {
+    const { handle, payload } = newSignup();
+    const res = createResponse();
+    setTimeout(() => recordSignupVerified(payload, { occurredAt: new Date().toISOString(), flow: 'signup' }), 10);
+
+    await signupStatus(createRequest(handle, { query: { wait: '5' } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, 'verified');
+  });
+
+  it('rejects an invalid handle', async () => {
+    const res = createResponse();
+    await signupStatus(createRequest('v1.forged.handle'), res);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('ends the event stream after its duration', async (t) => {
+    // Only the clock is mocked: moving it past the 50 s duration leaves the stream's own
+    // abort timer pending, so the stream has to notice the deadline by itself
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { handle } = newSignup();
+    const res = createResponse();
+
+    const streaming = signupStatus(createRequest(handle, { accept: 'text/event-stream' }), res);
+    await flush();
+    t.mock.timers.setTime(Date.now() + 51 * 1000);
+    await streaming;
+
+    assert.equal(res.ended, true);
+    assert.equal(res.chunks.filter((chunk) => chunk.startsWith('event: status')).length, 1);
+    assert.match(res.chunks.find((chunk) => chunk.startsWith('event: status')), /"status":"pending"/);
+  });
+
+  it('ends the event stream once the status is final', async () => {
+    const { handle, payload } = newSignup();
+    await recordSignupVerified(payload, { occurredAt: new Date().toISOString(), flow: 'signup' });
+    const res = createResponse();
+
+    await signupStatus(createRequest(handle, { accept: 'text/event-stream' }), res);
+    assert.equal(res.ended, true);
+    assert.match(res.chunks.join(''), /event: status\ndata: \{"status":"verified"/);
+  });
+});
@@ -0,0 +1,87 @@
+require('./setup-env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compile, escapeHtml, escapeJs, renderPage } = require('../lib/templates');
+const { createTranslator } = require('../lib/i18n');
+
+const XSS = '<img src=x onerror="alert(1)">\'`&';
+
+describe('templates', () => {
+  describe('escaping by context', () => {
+    it('escapes HTML text', () => {
+      assert.equal(compile('<p>{{ value }}</p>', 'test')({ value: XSS }),
+        '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;&#39;&#96;&amp;</p>');
+    });
+
+    it('escapes attribute values so they cannot break out of quotes', () => {
+      const html = compile('<a title="{{ value }}">x</a>', 'test')({ value: '" onmouseover="alert(1)' });
+      assert.equal(html, '<a title="&quot; onmouseover=&quot;alert(1)">x</a>');
+    });
+
+    it('neutralizes script URLs in URL attributes only', () => {
+      const render = compile('<a href="{{ url }}" title="{{ url }}">x</a>', 'test');
+      assert.equal(render({ url: ' JavaScript:alert(1)' }), '<a href="about:invalid" title=" JavaScript:alert(1)">x</a>');
+      assert.equal(compile('<a href="{{ url }}">x</a>', 'test')({ url: 'data:text/html,hi' }), '<a href="about:invalid">x</a>');
+      assert.equal(compile('<a href="{{ url }}">x</a>', 'test')({ url: 'https://manito.cl/?a=1&b=2' }), '<a href="https://manito.cl/?a=1&amp;b=2">x</a>');
+    });
+
+    it('renders values inside <script> as JSON literals that cannot close the block', () => {
+      const html = compile('<script>const PAGE = {{ page }};</script>', 'test')({ page: { text: '</script><script>alert(1)</script>' } });
+      const literal = html.slice('<script>const PAGE = '.length, -';</script>'.length);
+
+      assert.doesNotMatch(literal, /<\/script/i);
+      assert.deepEqual(JSON.parse(literal), { text: '</script><script>alert(1)</script>' });
+    });
+
+    it('escapes line and paragraph separators in JS literals', () => {
+      assert.equal(escapeJs('a b c'), '"a\\u2028b\\u2029c"');
+      assert.equal(escapeJs(undefined), 'null');
+    });
+
+    it('rejects values inside <style>', () => {
+      assert.throws(() => compile('<style>body { color: {{ color }}; }</style>', 'test'), /not allowed inside <style>/);
+    });
+
+    it('inserts {{{ }}} values as-is', () => {
+      assert.equal(compile('<div>{{{ svg }}}</div>', 'test')({ svg: '<svg></svg>' }), '<div><svg></svg></div>');
+    });
+
+    it('renders missing values as empty', () => {
+      assert.equal(compile('<p>{{ missing.value }}</p><a title="{{ missing }}">', 'test')({}), '<p></p><a title="">');
+    });
+  });
+
+  describe('expressions', () => {
+    it('calls functions with literal and path arguments', () => {
+      const render = compile("<p>{{ greet 'Hola' user.name }}</p>", 'test');
+      assert.equal(render({ greet: (greeting, name) => `${greeting}, ${name}`, user: { name: '<b>' } }), '<p>Hola, &lt;b&gt;</p>');
+    });
+
+    it('rejects invalid expressions at compile time', () => {
+      assert.throws(() => compile("{{ 'literal' }}", 'test'), /Invalid template expression/);
+    });
+  });
+
+  it('escapes the five HTML metacharacters and backticks', () => {
+    assert.equal(escapeHtml('&<>"\'`'), '&amp;&lt;&gt;&quot;&#39;&#96;');
+  });
+
+  it('renders pages inside the layout with the nonce on scripts', () => {
+    const i18n = createTranslator('en');
+    const html = renderPage('expired', {
+      t: i18n.t,
+      nonce: 'test-nonce',
+      locale: i18n.locale,
+      variant: 'error',
+      title: i18n.t('expired.title'),
+      loginLink: 'https://app.manito.cl/app/auth/login'
+    });
+
+    assert.match(html, /^<!DOCTYPE html>/i);
+    assert.match(html, /<body class="page-error">/);
+    assert.match(html, /<script nonce="test-nonce">/);
+    assert.match(html, /href="https:\/\/app\.manito\.cl\/app\/auth\/login"/);
+    assert.doesNotMatch(html, /\{\{/);
+  });
+});
@@ -0,0 +1,86 @@
+require('./setup-env');
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { WebhookVerificationError, verifyWebhookSignature } = require('../lib/webhook-signature');
+
+const KEY = Buffer.from('test-webhook-secret');
+const SECRET = `v1,whsec_${KEY.toString('base64')}`;
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const TIMESTAMP = Math.floor(NOW / 1000);
+const BODY = Buffer.from('{"type":"UPDATE","record":{"id":"user-1"}}');
+
+function sign(body, { id = 'msg_1', timestamp = TIMESTAMP, key = KEY } = {}) {
+  return crypto.createHmac('sha256', key).update(`${id}.${timestamp}.`).update(body).digest('base64');
+}
+
+function headers({ id = 'msg_1', timestamp = TIMESTAMP, signature = `v1,${sign(BODY, { id, timestamp })}` } = {}) {
+  return {
+    'webhook-id': id,
+    'webhook-timestamp': String(timestamp),
+    'webhook-signature': signature
+  };
+}
+
+function rejects(body, requestHeaders, message, options = {}) {
+  assert.throws(
+    () => verifyWebhookSignature(body, requestHeaders, { secret: SECRET, now: NOW, ...options }),
+    (error) => error instanceof WebhookVerificationError && error.message === message
+  );
+}
+
+describe('webhook signatures', () => {
+  it('accepts a valid signature over the raw body', () => {
+    assert.deepEqual(
+      verifyWebhookSignature(BODY, headers(), { secret: SECRET, now: NOW }),
+      { id: 'msg_1', timestamp: TIMESTAMP }
+    );
+  });
+
+  it('accepts secrets with or without their prefixes', () => {
+    for (const secret of [KEY.toString('base64'), `whsec_${KEY.toString('base64')}`]) {
+      assert.equal(verifyWebhookSignature(BODY, headers(), { secret, now: NOW }).id, 'msg_1');
+    }
+  });
+
+  it('accepts any matching entry among several signatures', () => {
+    const signature = `v1,${sign(BODY, { key: Buffer.from('old-secret') })} v1,${sign(BODY)}`;
+    assert.equal(verifyWebhookSignature(BODY, headers({ signature }), { secret: SECRET, now: NOW }).id, 'msg_1');
+  });
+
+  it('rejects a body that differs from the signed bytes, even if it parses the same', () => {
+    const reformatted = Buffer.from(JSON.stringify(JSON.parse(BODY), null, 2));
+    rejects(reformatted, headers(), 'Invalid webhook signature');
+  });
+
+  it('rejects a signature moved to another webhook-id or timestamp', () => {
+    rejects(BODY, { ...headers(), 'webhook-id': 'msg_2' }, 'Invalid webhook signature');
+    rejects(BODY, { ...headers(), 'webhook-timestamp': String(TIMESTAMP + 1) }, 'Invalid webhook signature');
+  });
+
+  it('rejects other secrets, versions and malformed signatures', () => {
+    rejects(BODY, headers({ signature: `v1,${sign(BODY, { key: Buffer.from('other') })}` }), 'Invalid webhook signature');
+    rejects(BODY, headers({ signature: `v2,${sign(BODY)}` }), 'Invalid webhook signature');
+    rejects(BODY, headers({ signature: 'v1,' }), 'Invalid webhook signature');
+    rejects(BODY, headers({ signature: 'v1,c2hvcnQ=' }), 'Invalid webhook signature');
+  });
+
+  it('rejects timestamps outside the tolerance window', () => {
+    const stale = TIMESTAMP - 301;
+    rejects(BODY, headers({ timestamp: stale }), 'Webhook timestamp outside tolerance window');
+    rejects(BODY, headers({ timestamp: TIMESTAMP + 301 }), 'Webhook timestamp outside tolerance window');
+    rejects(BODY, headers({ timestamp: 'soon' }), 'Invalid webhook timestamp');
+
+    assert.equal(
+      verifyWebhookSignature(BODY, headers({ timestamp: stale }), { secret: SECRET, now: NOW, toleranceSeconds: 600 }).id,
+      'msg_1'
+    );
+  });
+
+  it('rejects unsigned requests and a missing secret', () => {
+    rejects(BODY, {}, 'Missing webhook signature headers');
+    rejects(BODY, { ...headers(), 'webhook-signature': undefined }, 'Missing webhook signature headers');
+    rejects(BODY, headers(), 'Webhook secret is not configured', { secret: '' });
+  });
+});